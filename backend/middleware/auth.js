@@ -1,10 +1,52 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const ApiKey = require('../models/ApiKey');
+const { hasPermission, isStaffRole } = require('../utils/permissions');
+
+// Authenticate an "Authorization: ApiKey <key>" request.
+// Keys are only accepted on routes that declare a scope with requireScope(),
+// so account, session and admin routes stay JWT-only.
+const authenticateApiKey = async (req, res, next) => {
+  const routeScope = req.route && req.route.stack
+    .map(layer => layer.handle.requiredScope)
+    .find(Boolean);
+
+  if (!routeScope) {
+    return res.status(403).json({ message: 'API keys cannot be used for this route' });
+  }
+
+  try {
+    const apiKey = await ApiKey.findByKey(req.headers.authorization.split(' ')[1]);
+    if (!apiKey) {
+      return res.status(401).json({ message: 'Invalid or expired API key' });
+    }
+
+    const user = await User.findById(apiKey.user).select('-password');
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'User account is deactivated' });
+    }
+
+    await apiKey.touch(req.ip);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('API key verification error:', error);
+    return res.status(401).json({ message: 'Not authorized, API key failed' });
+  }
+};
 
 // Middleware to protect routes
 const protect = async (req, res, next) => {
   let token;
 
+  if (req.headers.authorization && req.headers.authorization.startsWith('ApiKey ')) {
+    return authenticateApiKey(req, res, next);
+  }
+
   // Check for token in headers
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
@@ -14,6 +56,13 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Make sure the session behind the token has not been revoked
+      const session = await Session.findById(decoded.sid);
+
+      if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+        return res.status(401).json({ message: 'Session has been revoked' });
+      }
+
       // Get user from token
       const user = await User.findById(decoded.id).select('-password');
       
@@ -25,7 +74,10 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'User account is deactivated' });
       }
 
+      await session.touch();
+
       req.user = user;
+      req.session = session;
       next();
     } catch (error) {
       console.error('Token verification error:', error);
@@ -38,12 +90,45 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Middleware to require an API key scope; requests made with a JWT pass through
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (!req.apiKey || req.apiKey.hasScope(scope)) {
+      next();
+    } else {
+      res.status(403).json({ message: `API key is missing the ${scope} scope` });
+    }
+  };
+  middleware.requiredScope = scope;
+  return middleware;
+};
+
+// Middleware to require a verified email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.emailVerified) {
     next();
   } else {
-    res.status(403).json({ message: 'Access denied. Admin role required.' });
+    res.status(403).json({ message: 'Please verify your email address first' });
+  }
+};
+
+// Middleware to require a role permission (see utils/permissions.js)
+const requirePermission = (permission) => async (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ message: 'Access denied. You do not have permission to do this.' });
+  }
+
+  try {
+    if (isStaffRole(req.user.role) && !req.user.twoFactor.enabled &&
+        await Setting.getValue('requireAdminTwoFactor')) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for staff accounts',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
   }
 };
 
@@ -58,7 +143,7 @@ const ownerOrAdmin = (resourceModel) => {
       }
 
       // Check if user is admin or owner
-      if (req.user.role === 'admin' || resource.developer.toString() === req.user._id.toString()) {
+      if (hasPermission(req.user, 'apps:manage') || resource.developer.toString() === req.user._id.toString()) {
         next();
       } else {
         res.status(403).json({ message: 'Access denied. You can only modify your own resources.' });
@@ -73,10 +158,10 @@ const ownerOrAdmin = (resourceModel) => {
 const hasPurchased = async (req, res, next) => {
   try {
     const appId = req.params.id;
-    const user = await User.findById(req.user._id).populate('purchases.app');
-    
-    const hasPurchased = user.purchases.some(purchase => 
-      purchase.app._id.toString() === appId
+    const user = await User.findById(req.user._id).select('purchases');
+
+    const hasPurchased = user.purchases.some(purchase =>
+      purchase.app && purchase.app.toString() === appId
     );
 
     if (hasPurchased) {
@@ -89,9 +174,47 @@ const hasPurchased = async (req, res, next) => {
   }
 };
 
+// Middleware to let the app's developer and admins through, and otherwise
+// allow approved apps that are free or have been purchased
+const freeOrPurchased = (resourceModel) => {
+  return async (req, res, next) => {
+    try {
+      const resource = await resourceModel.findById(req.params.id).select('isFree developer status');
+
+      if (!resource) {
+        return res.status(404).json({ message: 'Resource not found' });
+      }
+
+      if (resource.developer.toString() === req.user._id.toString() ||
+          hasPermission(req.user, 'apps:manage')) {
+        return next();
+      }
+
+      // Apps that aren't live can't be downloaded by anyone else
+      if (resource.status !== 'approved') {
+        return res.status(404).json({ message: 'Resource not found' });
+      }
+
+      if (resource.isFree) {
+        return next();
+      }
+
+      return hasPurchased(req, res, next);
+    } catch (error) {
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Resource not found' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  };
+};
+
 module.exports = {
   protect,
-  admin,
+  requireScope,
+  requireVerifiedEmail,
+  requirePermission,
   ownerOrAdmin,
-  hasPurchased
+  hasPurchased,
+  freeOrPurchased
 };
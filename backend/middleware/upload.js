@@ -0,0 +1,160 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const MB = 1024 * 1024;
+
+// Accepted file types. The first bytes of each upload are checked against the
+// signature so a renamed file can't slip through on its extension or MIME type.
+const FILE_TYPES = {
+  png: {
+    extensions: ['.png'],
+    mimetypes: ['image/png'],
+    contentType: 'image/png',
+    matches: (header) => header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  jpeg: {
+    extensions: ['.jpg', '.jpeg'],
+    mimetypes: ['image/jpeg'],
+    contentType: 'image/jpeg',
+    matches: (header) => header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff
+  },
+  webp: {
+    extensions: ['.webp'],
+    mimetypes: ['image/webp'],
+    contentType: 'image/webp',
+    matches: (header) => header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP'
+  },
+  // APK, IPA and ZIP builds are all ZIP containers
+  apk: {
+    extensions: ['.apk'],
+    mimetypes: ['application/vnd.android.package-archive', 'application/zip', 'application/octet-stream'],
+    contentType: 'application/vnd.android.package-archive',
+    matches: (header) => header.toString('hex', 0, 4) === '504b0304'
+  },
+  ipa: {
+    extensions: ['.ipa'],
+    mimetypes: ['application/octet-stream', 'application/x-itunes-ipa', 'application/zip'],
+    contentType: 'application/octet-stream',
+    matches: (header) => header.toString('hex', 0, 4) === '504b0304'
+  },
+  zip: {
+    extensions: ['.zip'],
+    mimetypes: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    contentType: 'application/zip',
+    matches: (header) => header.toString('hex', 0, 4) === '504b0304'
+  }
+};
+
+const IMAGE_TYPES = ['png', 'jpeg', 'webp'];
+const ARTIFACT_TYPES = ['apk', 'ipa', 'zip'];
+
+const findType = (file, types) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  return types.find(type =>
+    FILE_TYPES[type].extensions.includes(extension) && FILE_TYPES[type].mimetypes.includes(file.mimetype)
+  );
+};
+
+const readHeader = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const header = Buffer.alloc(12);
+    await handle.read(header, 0, 12, 0);
+    return header;
+  } finally {
+    await handle.close();
+  }
+};
+
+const uploadedFiles = (req) => (req.file ? [req.file] : req.files || []);
+
+const removeTempFiles = (req) => Promise.all(
+  uploadedFiles(req).map(file => fs.rm(file.path, { force: true }))
+);
+
+// Build upload middleware for one form field. Files land in a temp directory;
+// each gets `fileType` and `contentType` set, and the temp files are removed
+// once the response has been sent.
+const createUpload = ({ field, maxCount = 1, maxSizeMB, types }) => {
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: os.tmpdir(),
+      filename: (req, file, cb) => cb(null, `appbazaar-upload-${crypto.randomBytes(12).toString('hex')}`)
+    }),
+    limits: { fileSize: maxSizeMB * MB, files: maxCount },
+    fileFilter: (req, file, cb) => {
+      if (findType(file, types)) {
+        cb(null, true);
+      } else {
+        const error = new Error(`${file.originalname} is not an accepted file type (${types.join(', ')})`);
+        error.code = 'INVALID_FILE_TYPE';
+        cb(error);
+      }
+    }
+  });
+  const handler = maxCount === 1 ? upload.single(field) : upload.array(field, maxCount);
+
+  return (req, res, next) => {
+    res.on('close', () => removeTempFiles(req));
+
+    handler(req, res, async (error) => {
+      if (error) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({ message: `File is too large (max ${maxSizeMB} MB)` });
+        }
+        if (error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT') {
+          return res.status(400).json({ message: `Upload up to ${maxCount} file(s) in the "${field}" field` });
+        }
+        if (error.code === 'INVALID_FILE_TYPE') {
+          return res.status(400).json({ message: error.message });
+        }
+        return next(error);
+      }
+
+      const files = uploadedFiles(req);
+      if (files.length === 0) {
+        return res.status(400).json({ message: `No file uploaded in the "${field}" field` });
+      }
+
+      try {
+        for (const file of files) {
+          const type = findType(file, types);
+          if (!FILE_TYPES[type].matches(await readHeader(file.path))) {
+            return res.status(400).json({ message: `${file.originalname} does not look like a ${type} file` });
+          }
+          file.fileType = type;
+          file.contentType = FILE_TYPES[type].contentType;
+        }
+        next();
+      } catch (checkError) {
+        next(checkError);
+      }
+    });
+  };
+};
+
+// Storage key for an upload, e.g. public/apps/<id>/icon/<random>.png
+const storageKey = (visibility, folder, file) => {
+  const extension = FILE_TYPES[file.fileType].extensions[0];
+  return `${visibility}/${folder}/${crypto.randomBytes(12).toString('hex')}${extension}`;
+};
+
+const uploadIcon = createUpload({ field: 'icon', maxSizeMB: 2, types: IMAGE_TYPES });
+
+const uploadScreenshots = createUpload({ field: 'screenshots', maxCount: 8, maxSizeMB: 5, types: IMAGE_TYPES });
+
+const uploadArtifact = createUpload({
+  field: 'artifact',
+  maxSizeMB: parseInt(process.env.MAX_ARTIFACT_SIZE_MB, 10) || 200,
+  types: ARTIFACT_TYPES
+});
+
+module.exports = {
+  uploadIcon,
+  uploadScreenshots,
+  uploadArtifact,
+  storageKey
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = [
+  'apps:read',
+  'apps:write',
+  'auctions:read',
+  'auctions:write'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [50, 'Key name cannot exceed 50 characters']
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's keys
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Keys look like "abz_<prefix>_<secret>"; the prefix identifies the key in
+// listings and logs, and only a hash of the whole key is stored
+const KEY_PATTERN = /^abz_([a-f0-9]{8})_([A-Za-z0-9_-]{43})$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Static method to create a key, returning the raw key to show once
+apiKeySchema.statics.generate = async function(userId, { name, scopes, expiresAt }) {
+  let prefix;
+  do {
+    prefix = crypto.randomBytes(4).toString('hex');
+  } while (await this.exists({ prefix }));
+
+  const key = `abz_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to resolve a raw key to an active key document
+apiKeySchema.statics.findByKey = async function(key) {
+  const match = KEY_PATTERN.exec(String(key));
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ prefix: match[1] }).select('+keyHash');
+  if (!apiKey || !apiKey.isActive) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey;
+};
+
+// Method to record usage, throttled to avoid a write on every CI request
+apiKeySchema.methods.touch = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: ip }
+  );
+};
+
+// Method to check whether the key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Method to get the key's listing info (never the hash)
+apiKeySchema.methods.getPublicInfo = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    isActive: this.isActive,
+    createdAt: this.createdAt
+  };
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
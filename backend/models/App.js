@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 
+const REJECTION_REASONS = [
+  'incomplete-listing',
+  'misleading-content',
+  'broken-build',
+  'policy-violation',
+  'intellectual-property',
+  'privacy',
+  'inappropriate-content',
+  'other'
+];
+
+const PLATFORMS = ['iOS', 'Android', 'Web', 'Desktop'];
+
+const imageVariantSchema = new mongoose.Schema({
+  width: Number,
+  height: Number,
+  format: {
+    type: String,
+    enum: ['png', 'jpeg', 'webp']
+  },
+  url: String
+}, { _id: false });
+
 const appSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -54,17 +77,27 @@ const appSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Icon and screenshots can be uploaded after the app is created
   images: [{
-    type: String,
-    required: [true, 'At least one image is required']
+    type: String
   }],
   icon: {
-    type: String,
-    required: [true, 'App icon is required']
+    type: String
   },
   screenshots: [{
     type: String
   }],
+  // Resized copies of uploaded images, for responsive srcset
+  iconVariants: [imageVariantSchema],
+  screenshotVariants: [{
+    screenshot: {
+      type: String,
+      required: true
+    },
+    width: Number,
+    height: Number,
+    variants: [imageVariantSchema]
+  }],
   features: [{
     type: String,
     maxlength: [100, 'Feature description cannot exceed 100 characters']
@@ -94,36 +127,97 @@ const appSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
-    reviews: [{
-      user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User'
-      },
-      rating: {
-        type: Number,
-        required: true,
-        min: 1,
-        max: 5
-      },
-      comment: {
-        type: String,
-        maxlength: [500, 'Review comment cannot exceed 500 characters']
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now
-      }
-    }]
+    // Sum of published ratings; reviews live in the Review collection
+    total: {
+      type: Number,
+      default: 0
+    },
+    // Number of published reviews at each star rating
+    histogram: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 }
+    }
+  },
+  // Page views; downloads count artifacts handed out through /api/downloads
+  views: {
+    type: Number,
+    default: 0
   },
   downloads: {
     type: Number,
     default: 0
   },
+  privacyPolicyUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Privacy policy URL cannot exceed 500 characters']
+  },
   status: {
     type: String,
     enum: ['draft', 'pending', 'approved', 'rejected'],
     default: 'draft'
   },
+  // When the developer last submitted the app for review
+  submittedAt: {
+    type: Date
+  },
+  // Why the app was last rejected; cleared when it is approved
+  rejection: {
+    reasons: [{
+      type: String,
+      enum: REJECTION_REASONS
+    }],
+    notes: {
+      type: String,
+      maxlength: [2000, 'Rejection notes cannot exceed 2000 characters']
+    },
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectedAt: {
+      type: Date
+    }
+  },
+  // The moderator working on a pending app
+  moderation: {
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: {
+      type: Date
+    }
+  },
+  // Every status change, oldest first; only loaded when asked for
+  statusHistory: {
+    type: [{
+      from: String,
+      to: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reasons: [String],
+      notes: String,
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  platforms: [{
+    type: String,
+    enum: PLATFORMS
+  }],
   tags: [{
     type: String,
     maxlength: [20, 'Tag cannot exceed 20 characters']
@@ -152,28 +246,52 @@ appSchema.index({
   tags: 'text'
 });
 
+// Indexes for marketplace filters
+appSchema.index({ status: 1, category: 1 });
+appSchema.index({ status: 1, platforms: 1 });
+appSchema.index({ status: 1, tags: 1 });
+
+// Index for the moderation queue
+appSchema.index({ status: 1, submittedAt: 1 });
+
+// Static method to move an app from the status it was read with to another
+// and record the change. The update only applies while the app still has that
+// status, so concurrent changes can't both succeed; returns the updated app or null.
+appSchema.statics.changeStatus = function(app, to, { changedBy, reasons = [], notes, set = {}, unset = {} } = {}) {
+  const update = {
+    $set: { ...set, status: to },
+    $push: { statusHistory: { from: app.status, to, changedBy, reasons, notes, changedAt: new Date() } }
+  };
+  if (Object.keys(unset).length) update.$unset = unset;
+
+  return this.findOneAndUpdate({ _id: app._id, status: app.status }, update, { new: true });
+};
+
+// Announce changes on the model so listeners such as the search index can
+// follow them. Bulk updates don't say which apps changed.
+appSchema.post('save', function(doc) {
+  doc.constructor.emit('app-changed', doc._id);
+});
+
+appSchema.post('findOneAndUpdate', function(doc) {
+  if (doc) this.model.emit('app-changed', doc._id);
+});
+
+appSchema.post('findOneAndDelete', function(doc) {
+  if (doc) this.model.emit('app-removed', doc._id);
+});
+
+appSchema.post('updateMany', function() {
+  this.model.emit('apps-changed');
+});
+
+appSchema.statics.REJECTION_REASONS = REJECTION_REASONS;
+appSchema.statics.PLATFORMS = PLATFORMS;
+
 // Virtual for average rating calculation
 appSchema.virtual('averageRating').get(function() {
   if (this.ratings.count === 0) return 0;
   return this.ratings.average;
 });
 
-// Method to update average rating
-appSchema.methods.updateAverageRating = function() {
-  if (this.ratings.reviews.length === 0) {
-    this.ratings.average = 0;
-    this.ratings.count = 0;
-  } else {
-    const totalRating = this.ratings.reviews.reduce((sum, review) => sum + review.rating, 0);
-    this.ratings.average = totalRating / this.ratings.reviews.length;
-    this.ratings.count = this.ratings.reviews.length;
-  }
-};
-
-// Pre-save middleware to update average rating
-appSchema.pre('save', function(next) {
-  this.updateAverageRating();
-  next();
-});
-
 module.exports = mongoose.model('App', appSchema);
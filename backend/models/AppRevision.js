@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const App = require('./App');
+
+// Fields of an approved app whose changes a moderator has to approve
+const REVISABLE_FIELDS = ['title', 'description', 'shortDescription', 'price', 'images', 'icon', 'screenshots'];
+
+// Resized copies that travel with their image field
+const VARIANT_FIELDS = {
+  icon: 'iconVariants',
+  screenshots: 'screenshotVariants'
+};
+
+// Proposed values use the App field definitions, so they are validated the
+// same way, without the required flags and defaults of a full app
+const fieldDefinition = (field) => {
+  const definition = App.schema.obj[field];
+  if (Array.isArray(definition)) return definition;
+
+  const { required, default: defaultValue, ...rest } = definition;
+  return rest;
+};
+
+const changeFields = Object.fromEntries(
+  [...REVISABLE_FIELDS, ...Object.values(VARIANT_FIELDS)].map(field => [field, fieldDefinition(field)])
+);
+
+// Changes to an approved app held back until a moderator approves them, so
+// the live listing stays as it was approved in the meantime
+const appRevisionSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  developer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who last edited the revision
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: changeFields,
+  // Which of the changes are set; the rest of `changes` is ignored
+  changedFields: [{
+    type: String,
+    enum: REVISABLE_FIELDS
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reasons: [{
+    type: String,
+    enum: App.REJECTION_REASONS
+  }],
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: true,
+  // Concurrent edits of the same revision fail instead of dropping a change
+  optimisticConcurrency: true
+});
+
+// One pending revision per app; later edits are merged into it
+appRevisionSchema.index({ app: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+// Index for the moderation queue
+appRevisionSchema.index({ status: 1, updatedAt: 1 });
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Static method to merge changes into the app's pending revision, creating it
+// if needed. A field set back to its live value is dropped from the revision,
+// and a revision left without changes is withdrawn. Returns the revision, or
+// null when nothing differs from the live app.
+appRevisionSchema.statics.stage = async function(app, userId, changes) {
+  const revision = await this.findOne({ app: app._id, status: 'pending' })
+    || new this({ app: app._id, developer: app.developer });
+
+  // Without new variants, keep those of the icon or screenshots still in use
+  const keptVariants = {
+    icon: () => (changes.icon === revision.proposed(app, 'icon') ? revision.proposed(app, 'iconVariants') : []),
+    screenshots: () => revision.proposed(app, 'screenshotVariants')
+      .filter(entry => changes.screenshots.includes(entry.screenshot))
+  };
+
+  REVISABLE_FIELDS.filter(field => field in changes).forEach(field => {
+    const variantField = VARIANT_FIELDS[field];
+    if (variantField) {
+      revision.set(`changes.${variantField}`, changes[variantField] || keptVariants[field]());
+    }
+    revision.set(`changes.${field}`, changes[field]);
+
+    // Compare after casting, so "4.99" and 4.99 are the same price
+    const fields = revision.changedFields.filter(changed => changed !== field);
+    if (!sameValue(revision.get(`changes.${field}`), app.get(field))) {
+      fields.push(field);
+    } else {
+      revision.set(`changes.${field}`, undefined);
+      if (variantField) revision.set(`changes.${variantField}`, undefined);
+    }
+    revision.changedFields = fields;
+  });
+
+  if (revision.changedFields.length === 0) {
+    if (revision.isNew) return null;
+    revision.status = 'withdrawn';
+  }
+
+  revision.submittedBy = userId;
+  await revision.save();
+  return revision.status === 'pending' ? revision : null;
+};
+
+// Method to get the value a field will have once the revision is approved
+appRevisionSchema.methods.proposed = function(app, field) {
+  const imageField = Object.keys(VARIANT_FIELDS).find(key => VARIANT_FIELDS[key] === field) || field;
+  return this.changedFields.includes(imageField) ? this.get(`changes.${field}`) : app.get(field);
+};
+
+// Method to list the live and proposed value of every changed field
+appRevisionSchema.methods.diff = function(app) {
+  return this.changedFields.map(field => ({
+    field,
+    current: app.get(field),
+    proposed: this.get(`changes.${field}`)
+  }));
+};
+
+// Method to copy the changes onto the live app (the caller saves it)
+appRevisionSchema.methods.applyTo = function(app) {
+  this.changedFields.forEach(field => {
+    app.set(field, this.get(`changes.${field}`));
+    if (VARIANT_FIELDS[field]) {
+      app.set(VARIANT_FIELDS[field], this.get(`changes.${VARIANT_FIELDS[field]}`));
+    }
+  });
+  app.isFree = app.price === 0;
+};
+
+appRevisionSchema.statics.REVISABLE_FIELDS = REVISABLE_FIELDS;
+
+module.exports = mongoose.model('AppRevision', appRevisionSchema);
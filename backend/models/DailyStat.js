@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Per-day counters for an app or auction, filled in by the view aggregation job
+const dailyStatSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['App', 'Auction'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  // UTC midnight of the day
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+dailyStatSchema.index({ targetType: 1, target: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('DailyStat', dailyStatSchema);
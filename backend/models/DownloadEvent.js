@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// One completed download of a release artifact
+const downloadEventSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  release: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Release',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: String
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for per-app download history and a user's downloads
+downloadEventSchema.index({ app: 1, createdAt: -1 });
+downloadEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DownloadEvent', downloadEventSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Pending external sign-in, held between the redirect to the provider and its callback
+const oauthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+  }
+}, {
+  timestamps: true
+});
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to take a state exactly once
+oauthStateSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const semver = require('semver');
+
+const releaseSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  version: {
+    type: String,
+    required: [true, 'Version is required'],
+    validate: {
+      validator: (value) => semver.valid(value) !== null,
+      message: 'Version must be a semantic version like 1.2.0'
+    }
+  },
+  changelog: {
+    type: String,
+    default: '',
+    maxlength: [5000, 'Changelog cannot exceed 5000 characters']
+  },
+  minOS: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Minimum OS cannot exceed 50 characters']
+  },
+  // Either an uploaded build (key in storage) or an externally hosted url
+  artifact: {
+    key: {
+      type: String
+    },
+    url: {
+      type: String
+    },
+    fileName: {
+      type: String
+    },
+    size: {
+      type: Number,
+      min: 0
+    },
+    contentType: {
+      type: String
+    }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'withdrawn'],
+    default: 'draft'
+  },
+  releasedAt: {
+    type: Date
+  },
+  // Ratings from reviews written while this was the current release
+  ratings: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One release per version of an app
+releaseSchema.index({ app: 1, version: 1 }, { unique: true });
+
+// Index for release history
+releaseSchema.index({ app: 1, status: 1, releasedAt: -1 });
+
+// Static method to get the highest version an app has used, in any status
+releaseSchema.statics.getLatestVersion = async function(appId, excludeReleaseId) {
+  const filter = { app: appId };
+  if (excludeReleaseId) filter._id = { $ne: excludeReleaseId };
+
+  const versions = await this.distinct('version', filter);
+  return versions.sort(semver.rcompare)[0] || null;
+};
+
+// Static method to check a new version is higher than every existing one
+releaseSchema.statics.checkVersionIncreases = async function(appId, version, excludeReleaseId) {
+  const latest = await this.getLatestVersion(appId, excludeReleaseId);
+  if (latest && !semver.gt(version, latest)) {
+    return `Version must be greater than ${latest}`;
+  }
+  return null;
+};
+
+// Static method to get the newest published release of an app
+releaseSchema.statics.getCurrent = async function(appId) {
+  const published = await this.find({ app: appId, status: 'published' }).select('version releasedAt minOS ratings');
+  return published.sort((a, b) => semver.rcompare(a.version, b.version))[0] || null;
+};
+
+// Static method to point the app's version at its newest published release
+releaseSchema.statics.syncAppVersion = async function(appId) {
+  const current = await this.getCurrent(appId);
+  if (!current) return;
+
+  const update = { version: current.version, lastUpdated: current.releasedAt };
+  if (current.minOS) update['requirements.minOS'] = current.minOS;
+
+  await mongoose.model('App').updateOne({ _id: appId }, update);
+};
+
+// Method to publish the release
+releaseSchema.methods.publish = function() {
+  this.status = 'published';
+  this.releasedAt = new Date();
+};
+
+module.exports = mongoose.model('Release', releaseSchema);
@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    maxlength: [500, 'Review comment cannot exceed 500 characters'],
+    default: ''
+  },
+  // The release that was current when the review was written or last edited
+  release: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Release'
+  },
+  version: {
+    type: String
+  },
+  // Hidden reviews are kept but don't show or count towards the app's rating
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+  notHelpfulCount: {
+    type: Number,
+    default: 0
+  },
+  // Reports waiting for a moderator
+  openReportCount: {
+    type: Number,
+    default: 0
+  },
+  moderation: {
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    hiddenAt: {
+      type: Date
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Moderation reason cannot exceed 500 characters']
+    }
+  },
+  // The developer's public reply; one per review
+  reply: {
+    body: {
+      type: String,
+      maxlength: [1000, 'Reply cannot exceed 1000 characters']
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date
+    },
+    updatedAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// One review per user per app
+reviewSchema.index({ app: 1, user: 1 }, { unique: true });
+
+// Index for the moderation queue
+reviewSchema.index({ openReportCount: -1, updatedAt: -1 });
+
+// Indexes for the review list sort orders
+reviewSchema.index({ app: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ app: 1, status: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ app: 1, status: 1, rating: -1, createdAt: -1 });
+
+const addTo = (field, delta) => ({ $add: [{ $ifNull: [`$${field}`, 0] }, delta] });
+
+// Update pipeline that moves ratings.count, ratings.total and histogram buckets
+// by the given deltas and recomputes the average in the same update, so
+// concurrent reviews can't leave the average out of step
+const ratingUpdate = ({ count, total, histogram = {} }) => [
+  {
+    $set: {
+      'ratings.count': addTo('ratings.count', count),
+      'ratings.total': addTo('ratings.total', total),
+      ...Object.fromEntries(Object.entries(histogram)
+        .filter(([, delta]) => delta !== 0)
+        .map(([stars, delta]) => [`ratings.histogram.${stars}`, addTo(`ratings.histogram.${stars}`, delta)]))
+    }
+  },
+  {
+    $set: {
+      'ratings.average': {
+        $cond: [
+          { $gt: ['$ratings.count', 0] },
+          { $round: [{ $divide: ['$ratings.total', '$ratings.count'] }, 2] },
+          0
+        ]
+      }
+    }
+  }
+];
+
+const contribution = (review) => ({ rating: review.rating, release: review.release });
+
+// Swap one rating for another in the app's and releases' aggregates. `removed`
+// and `added` are { rating, release } or null, e.g. (null, new) for a new
+// review and (old, null) for a hidden one.
+reviewSchema.statics.applyRatingChange = async function(appId, removed, added) {
+  const app = { count: 0, total: 0, histogram: {} };
+  const releases = {};
+
+  [[removed, -1], [added, 1]].forEach(([entry, sign]) => {
+    if (!entry) return;
+    app.count += sign;
+    app.total += sign * entry.rating;
+    app.histogram[entry.rating] = (app.histogram[entry.rating] || 0) + sign;
+
+    if (entry.release) {
+      const release = releases[entry.release] || (releases[entry.release] = { count: 0, total: 0 });
+      release.count += sign;
+      release.total += sign * entry.rating;
+    }
+  });
+
+  await Promise.all([
+    mongoose.model('App').updateOne({ _id: appId }, ratingUpdate(app)),
+    ...Object.entries(releases)
+      .filter(([, delta]) => delta.count !== 0 || delta.total !== 0)
+      .map(([releaseId, delta]) => mongoose.model('Release').updateOne({ _id: releaseId }, ratingUpdate(delta)))
+  ]);
+};
+
+// Create or update a user's review of an app, keeping the app's rating in step.
+// Returns the saved review.
+// The review counts towards the app's current release.
+reviewSchema.statics.saveForUser = async function(appId, userId, { rating, comment }) {
+  const current = await mongoose.model('Release').getCurrent(appId);
+  const fields = {
+    rating,
+    comment,
+    release: current ? current._id : null,
+    version: current ? current.version : null
+  };
+
+  const previous = await this.findOneAndUpdate(
+    { app: appId, user: userId },
+    { $set: fields },
+    { new: false, runValidators: true }
+  );
+
+  if (previous) {
+    if (previous.status === 'published') {
+      await this.applyRatingChange(appId, contribution(previous), contribution(fields));
+    }
+    return this.findById(previous._id);
+  }
+
+  try {
+    const review = await this.create({ app: appId, user: userId, ...fields });
+    await this.applyRatingChange(appId, null, contribution(review));
+    return review;
+  } catch (error) {
+    // A concurrent request from the same user created it first; update that one
+    if (error.code === 11000) {
+      return this.saveForUser(appId, userId, { rating, comment });
+    }
+    throw error;
+  }
+};
+
+// Hide a published review and take it out of the app's rating.
+// Returns the review, or null if it wasn't published.
+reviewSchema.statics.hide = async function(reviewId, moderatorId, reason) {
+  const review = await this.findOneAndUpdate(
+    { _id: reviewId, status: 'published' },
+    {
+      $set: {
+        status: 'hidden',
+        moderation: { hiddenBy: moderatorId, hiddenAt: new Date(), reason }
+      }
+    },
+    { new: true }
+  );
+
+  if (review) {
+    await this.applyRatingChange(review.app, contribution(review), null);
+  }
+  return review;
+};
+
+// Set a review's open report count from its open reports, rather than
+// incrementing and resetting it, so reports filed while a moderator resolves
+// the others are still counted. Counts again after writing in case a
+// concurrent sync wrote an older count. Returns the review.
+reviewSchema.statics.syncOpenReportCount = async function(reviewId) {
+  const countOpen = () => mongoose.model('ReviewReport').countDocuments({ review: reviewId, status: 'open' });
+
+  let count = await countOpen();
+  for (;;) {
+    const review = await this.findByIdAndUpdate(reviewId, { $set: { openReportCount: count } }, { new: true });
+    const current = await countOpen();
+    if (!review || current === count) return review;
+    count = current;
+  }
+};
+
+// Publish a hidden review again. Returns the review, or null if it wasn't hidden.
+reviewSchema.statics.restore = async function(reviewId) {
+  const review = await this.findOneAndUpdate(
+    { _id: reviewId, status: 'hidden' },
+    { $set: { status: 'published' }, $unset: { moderation: '' } },
+    { new: true }
+  );
+
+  if (review) {
+    await this.applyRatingChange(review.app, null, contribution(review));
+  }
+  return review;
+};
+
+// Delete an app's reviews along with their votes and reports
+reviewSchema.statics.deleteForApp = async function(appId) {
+  const reviewIds = await this.find({ app: appId }).distinct('_id');
+  await Promise.all([
+    mongoose.model('ReviewVote').deleteMany({ review: { $in: reviewIds } }),
+    mongoose.model('ReviewReport').deleteMany({ app: appId }),
+    this.deleteMany({ app: appId })
+  ]);
+};
+
+// Rebuild an app's and its releases' rating aggregates from its published reviews
+reviewSchema.statics.recalculateAppRating = async function(appId) {
+  const groups = await this.aggregate([
+    { $match: { app: new mongoose.Types.ObjectId(appId), status: 'published' } },
+    { $group: { _id: { rating: '$rating', release: '$release' }, count: { $sum: 1 } } }
+  ]);
+
+  const average = (total, count) => (count > 0 ? Math.round((total / count) * 100) / 100 : 0);
+  const app = { count: 0, total: 0, histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } };
+  const releases = {};
+
+  groups.forEach(({ _id, count }) => {
+    app.count += count;
+    app.total += count * _id.rating;
+    app.histogram[_id.rating] += count;
+
+    if (_id.release) {
+      const release = releases[_id.release] || (releases[_id.release] = { count: 0, total: 0 });
+      release.count += count;
+      release.total += count * _id.rating;
+    }
+  });
+
+  const Release = mongoose.model('Release');
+  await Release.updateMany({ app: appId }, { $set: { ratings: { count: 0, total: 0, average: 0 } } });
+  await Promise.all([
+    mongoose.model('App').updateOne({ _id: appId }, {
+      $set: {
+        'ratings.count': app.count,
+        'ratings.total': app.total,
+        'ratings.average': average(app.total, app.count),
+        'ratings.histogram': app.histogram
+      }
+    }),
+    ...Object.entries(releases).map(([releaseId, { count, total }]) => Release.updateOne(
+      { _id: releaseId },
+      { $set: { ratings: { count, total, average: average(total, count) } } }
+    ))
+  ]);
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'offensive', 'off-topic', 'fake', 'personal-information', 'other'];
+
+// A user's abuse report on a review, resolved when a moderator hides the
+// review or dismisses the reports
+const reviewReportSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  app: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'App',
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: [500, 'Details cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolution: {
+    type: String,
+    enum: ['hidden', 'dismissed']
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One report per user per review
+reviewReportSchema.index({ review: 1, reporter: 1 }, { unique: true });
+reviewReportSchema.index({ review: 1, status: 1 });
+
+// Close every open report on a review
+reviewReportSchema.statics.resolveForReview = function(reviewId, resolution, moderatorId) {
+  return this.updateMany(
+    { review: reviewId, status: 'open' },
+    { status: 'resolved', resolution, resolvedBy: moderatorId, resolvedAt: new Date() }
+  );
+};
+
+reviewReportSchema.statics.REASONS = REPORT_REASONS;
+
+module.exports = mongoose.model('ReviewReport', reviewReportSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A user's "helpful" / "not helpful" vote on a review; one per user per review
+const reviewVoteSchema = new mongoose.Schema({
+  review: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  helpful: {
+    type: Boolean,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+reviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+
+const countField = (helpful) => (helpful ? 'helpfulCount' : 'notHelpfulCount');
+
+// Record or change a user's vote, moving the review's counters to match
+reviewVoteSchema.statics.cast = async function(reviewId, userId, helpful) {
+  let previous;
+  try {
+    previous = await this.findOneAndUpdate(
+      { review: reviewId, user: userId },
+      { $set: { helpful } },
+      { upsert: true, new: false }
+    );
+  } catch (error) {
+    // Two concurrent first votes: the loser retries as a change of vote
+    if (error.code === 11000) {
+      return this.cast(reviewId, userId, helpful);
+    }
+    throw error;
+  }
+
+  const inc = {};
+  if (!previous) {
+    inc[countField(helpful)] = 1;
+  } else if (previous.helpful !== helpful) {
+    inc[countField(helpful)] = 1;
+    inc[countField(previous.helpful)] = -1;
+  }
+
+  if (Object.keys(inc).length > 0) {
+    await mongoose.model('Review').updateOne({ _id: reviewId }, { $inc: inc });
+  }
+};
+
+// Remove a user's vote, if any
+reviewVoteSchema.statics.withdraw = async function(reviewId, userId) {
+  const previous = await this.findOneAndDelete({ review: reviewId, user: userId });
+  if (previous) {
+    await mongoose.model('Review').updateOne(
+      { _id: reviewId },
+      { $inc: { [countField(previous.helpful)]: -1 } }
+    );
+  }
+};
+
+module.exports = mongoose.model('ReviewVote', reviewVoteSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['account-locked', 'ip-locked', 'account-unlocked']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true
+  },
+  ip: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for quick lookups
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// How long a refresh token that was just rotated away is still recognised as
+// the loser of a race (two tabs refreshing at once) rather than a replay
+const ROTATION_GRACE_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  rotatedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'signed-out-remotely', 'password-change', 'two-factor-enabled', 'token-reuse', 'admin', 'account-deleted']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for looking up a user's sessions
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB purge sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Best-effort "Browser on OS" label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const os = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+};
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+const hashToken = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+const buildRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+// Method to record activity, throttled to avoid a write on every request
+sessionSchema.methods.touch = function() {
+  if (Date.now() - this.lastSeenAt.getTime() < 60 * 1000) {
+    return Promise.resolve(this);
+  }
+  this.lastSeenAt = new Date();
+  return this.constructor.updateOne({ _id: this._id }, { lastSeenAt: this.lastSeenAt });
+};
+
+// Method to get the session as shown to its owner
+sessionSchema.methods.getPublicInfo = function(currentSessionId) {
+  return {
+    _id: this._id,
+    device: describeDevice(this.userAgent),
+    ip: this.ip,
+    userAgent: this.userAgent,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to open a session for a user and get its first refresh token
+sessionSchema.statics.createForUser = async function(userId, req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { session, refreshToken: buildRefreshToken(session, secret) };
+};
+
+// Static method to exchange a refresh token for a new one. Returns the session
+// and its new token, or null. Checking the old token and storing the new one
+// is a single conditional update, so of two refreshes with the same token only
+// one succeeds. The other presented a token replaced moments ago and is just
+// turned away; any older rotated-away token can only be a stolen copy being
+// replayed, so it revokes the session.
+sessionSchema.statics.rotateRefreshToken = async function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const now = new Date();
+  const tokenHash = hashToken(secret);
+  const newSecret = crypto.randomBytes(48).toString('hex');
+
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newSecret),
+        previousRefreshTokenHash: tokenHash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: buildRefreshToken(session, newSecret) };
+  }
+
+  const current = await this.findById(sessionId).select('+previousRefreshTokenHash');
+  if (current && current.isActive) {
+    const lostRace = current.previousRefreshTokenHash === tokenHash &&
+      now - current.rotatedAt < ROTATION_GRACE_MS;
+    if (!lostRace) {
+      await current.revoke('token-reuse');
+    }
+  }
+  return null;
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
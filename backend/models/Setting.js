@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Site-wide settings that admins can change at runtime
+const DEFAULTS = {
+  requireAdminTwoFactor: false
+};
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: Object.keys(DEFAULTS)
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to read a setting, falling back to its default
+settingSchema.statics.getValue = async function(key) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : DEFAULTS[key];
+};
+
+// Static method to read every setting merged over the defaults
+settingSchema.statics.getAll = async function() {
+  const settings = await this.find();
+  return settings.reduce((all, setting) => {
+    all[setting.key] = setting.value;
+    return all;
+  }, { ...DEFAULTS });
+};
+
+// Static method to write a setting
+settingSchema.statics.setValue = function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyCode } = require('../utils/totp');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -24,7 +27,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   profile: {
@@ -71,11 +74,83 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
+  },
+  deletedAt: {
+    type: Date
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      lowercase: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
 });
 
+// Index for external sign-in lookups; an identity belongs to one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, sparse: true }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -94,10 +169,104 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Emailed tokens are stored hashed so a database leak can't be replayed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Method to create an email verification token, returning the raw token for emailing
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  return verificationToken;
+};
+
+// Static method to find the user holding a valid email verification token
+userSchema.statics.findByEmailVerificationToken = function(verificationToken) {
+  return this.findOne({
+    emailVerificationToken: hashToken(verificationToken),
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Method to create a single-use password reset token, returning the raw token for emailing
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  return resetToken;
+};
+
+// Static method to find the user holding a valid password reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: hashToken(resetToken),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
+// Method to check a TOTP code (requires +twoFactor.secret +twoFactor.lastUsedStep).
+// A code is accepted once, so a shoulder-surfed code can't be replayed.
+userSchema.methods.verifyTwoFactorCode = function(code, secret = this.twoFactor.secret) {
+  const step = verifyCode(secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to replace the recovery codes, returning the raw codes to show once
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: 10 }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Method to spend a recovery code (requires +twoFactor.recoveryCodes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashed = hashToken(String(code || '').trim().toLowerCase());
+  const index = (this.twoFactor.recoveryCodes || []).indexOf(hashed);
+  if (index === -1) return false;
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Static method to find the user linked to an external identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+};
+
+// Static method to derive a free username from an external profile
+userSchema.statics.generateUniqueUsername = async function(base) {
+  const cleaned = String(base || '').replace(/[^a-zA-Z0-9_]/g, '').slice(0, 24);
+  const stem = cleaned.length >= 3 ? cleaned : `user${cleaned}`;
+
+  let candidate = stem;
+  while (await this.exists({ username: candidate })) {
+    candidate = `${stem}_${crypto.randomBytes(2).toString('hex')}`;
+  }
+  return candidate;
+};
+
 // Method to get public profile (without sensitive data)
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 7;
+
+// One deduplicated page view. The unique index lets a viewer count once per
+// target and dedup window; aggregated events are rolled up into DailyStat.
+const viewEventSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['App', 'Auction'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  // User id, or a hash of the IP and user agent for anonymous visitors
+  viewer: {
+    type: String,
+    required: true
+  },
+  // Index of the dedup window the view fell into
+  window: {
+    type: Number,
+    required: true
+  },
+  // UTC day the view counts towards
+  day: {
+    type: Date,
+    required: true
+  },
+  aggregatedAt: {
+    type: Date,
+    default: null
+  },
+  batch: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+viewEventSchema.index({ targetType: 1, target: 1, viewer: 1, window: 1 }, { unique: true });
+viewEventSchema.index({ aggregatedAt: 1 });
+viewEventSchema.index({ batch: 1 });
+
+// Raw events are only needed for dedup and aggregation
+viewEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ViewEvent', viewEventSchema);
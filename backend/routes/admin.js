@@ -1,18 +1,28 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const App = require('../models/App');
-const { protect, admin } = require('../middleware/auth');
+const Setting = require('../models/Setting');
+const SecurityEvent = require('../models/SecurityEvent');
+const Review = require('../models/Review');
+const ReviewReport = require('../models/ReviewReport');
+const AppRevision = require('../models/AppRevision');
+const { getAccountStatus, unlockAccount } = require('../utils/loginProtection');
+const { ROLES, hasPermission } = require('../utils/permissions');
+const { anonymiseUser } = require('../utils/personalData');
+const { notifyAppDecision, notifyRevisionDecision } = require('../utils/appNotifications');
+const { appImageFolder, removeUnusedVariants } = require('../utils/imageProcessing');
+const { protect, requirePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Apply admin middleware to all routes
-router.use(protect, admin);
+// All admin routes need a signed-in user; each route checks its own permission
+router.use(protect);
 
 // @desc    Get all users
 // @route   GET /api/admin/users
-// @access  Private (Admin only)
-router.get('/users', async (req, res) => {
+// @access  Private (users:manage)
+router.get('/users', requirePermission('users:manage'), async (req, res) => {
   try {
     const { page = 1, limit = 20, search, role, status } = req.query;
     
@@ -56,8 +66,8 @@ router.get('/users', async (req, res) => {
 
 // @desc    Get user by ID
 // @route   GET /api/admin/users/:id
-// @access  Private (Admin only)
-router.get('/users/:id', async (req, res) => {
+// @access  Private (users:manage)
+router.get('/users/:id', requirePermission('users:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password')
@@ -68,7 +78,17 @@ router.get('/users/:id', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json(user);
+    const loginStatus = await getAccountStatus(user.email);
+    const securityEvents = await SecurityEvent.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate('actor', 'username');
+
+    res.json({
+      ...user.toObject(),
+      loginStatus,
+      securityEvents
+    });
   } catch (error) {
     console.error('User fetch error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -77,16 +97,20 @@ router.get('/users/:id', async (req, res) => {
 
 // @desc    Update user
 // @route   PUT /api/admin/users/:id
-// @access  Private (Admin only)
-router.put('/users/:id', [
+// @access  Private (users:manage)
+router.put('/users/:id', requirePermission('users:manage'), [
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
+    .isIn(ROLES)
     .withMessage('Invalid role'),
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  body('unlock')
+    .optional()
+    .isBoolean()
+    .withMessage('unlock must be a boolean')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -98,7 +122,7 @@ router.put('/users/:id', [
       });
     }
 
-    const { role, isActive } = req.body;
+    const { role, isActive, unlock } = req.body;
     const user = await User.findById(req.params.id);
 
     if (!user) {
@@ -110,12 +134,26 @@ router.put('/users/:id', [
       return res.status(400).json({ message: 'Cannot deactivate your own account' });
     }
 
+    // Prevent admin from removing their own admin access
+    if (user._id.toString() === req.user._id.toString() && role !== undefined && role !== user.role) {
+      return res.status(400).json({ message: 'Cannot change your own role' });
+    }
+
     // Update fields
     if (role !== undefined) user.role = role;
     if (isActive !== undefined) user.isActive = isActive;
 
     const updatedUser = await user.save();
-    res.json(updatedUser.getPublicProfile());
+
+    // Lift a login lockout
+    if (unlock) {
+      await unlockAccount(user, req.user);
+    }
+
+    res.json({
+      ...updatedUser.getPublicProfile(),
+      loginStatus: await getAccountStatus(user.email)
+    });
   } catch (error) {
     console.error('User update error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -124,8 +162,8 @@ router.put('/users/:id', [
 
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
-// @access  Private (Admin only)
-router.delete('/users/:id', async (req, res) => {
+// @access  Private (users:manage)
+router.delete('/users/:id', requirePermission('users:manage'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
@@ -143,7 +181,8 @@ router.delete('/users/:id', async (req, res) => {
       return res.status(400).json({ message: 'Cannot delete admin accounts' });
     }
 
-    await User.findByIdAndDelete(req.params.id);
+    // Anonymise rather than delete so their apps, reviews, bids and payments stay intact
+    await anonymiseUser(user._id, 'admin');
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('User deletion error:', error);
@@ -153,8 +192,8 @@ router.delete('/users/:id', async (req, res) => {
 
 // @desc    Get all apps (including pending)
 // @route   GET /api/admin/apps
-// @access  Private (Admin only)
-router.get('/apps', async (req, res) => {
+// @access  Private (apps:moderate)
+router.get('/apps', requirePermission('apps:moderate'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, category, search } = req.query;
     
@@ -191,17 +230,193 @@ router.get('/apps', async (req, res) => {
   }
 });
 
-// @desc    Update app status
+// @desc    Get the app review queue: pending apps, oldest submission first
+// @route   GET /api/admin/apps/queue?assigned=me|unassigned
+// @access  Private (apps:moderate)
+router.get('/apps/queue', requirePermission('apps:moderate'), [
+  query('assigned').optional().isIn(['me', 'unassigned']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, assigned } = req.query;
+
+    const filter = { status: 'pending' };
+    if (assigned === 'me') filter['moderation.assignedTo'] = req.user._id;
+    if (assigned === 'unassigned') filter['moderation.assignedTo'] = { $exists: false };
+
+    const skip = (page - 1) * limit;
+
+    const [apps, total] = await Promise.all([
+      App.find(filter)
+        .populate('developer', 'username profile.firstName profile.lastName')
+        .populate('moderation.assignedTo', 'username')
+        .sort({ submittedAt: 1, _id: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      App.countDocuments(filter)
+    ]);
+
+    res.json({
+      apps,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('App queue fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get an app with its moderation details and status history
+// @route   GET /api/admin/apps/:id
+// @access  Private (apps:moderate)
+router.get('/apps/:id', requirePermission('apps:moderate'), async (req, res) => {
+  try {
+    const app = await App.findById(req.params.id)
+      .select('+statusHistory')
+      .populate('developer', 'username email profile.firstName profile.lastName')
+      .populate('moderation.assignedTo', 'username')
+      .populate('moderation.assignedBy', 'username')
+      .populate('rejection.rejectedBy', 'username')
+      .populate('statusHistory.changedBy', 'username role');
+
+    if (!app) {
+      return res.status(404).json({ message: 'App not found' });
+    }
+
+    res.json(app);
+  } catch (error) {
+    console.error('App fetch error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'App not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Claim a pending app for review
+// @route   PUT /api/admin/apps/:id/claim
+// @access  Private (apps:moderate)
+router.put('/apps/:id/claim', requirePermission('apps:moderate'), async (req, res) => {
+  try {
+    // Only claim apps nobody else has, so two moderators can't both pick it up
+    const app = await App.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        status: 'pending',
+        $or: [{ 'moderation.assignedTo': { $exists: false } }, { 'moderation.assignedTo': req.user._id }]
+      },
+      { $set: { moderation: { assignedTo: req.user._id, assignedBy: req.user._id, assignedAt: new Date() } } },
+      { new: true }
+    ).populate('moderation.assignedTo', 'username');
+
+    if (!app) {
+      const existing = await App.findById(req.params.id).select('status');
+      if (!existing) {
+        return res.status(404).json({ message: 'App not found' });
+      }
+      return res.status(409).json({
+        message: existing.status === 'pending'
+          ? 'This app is already assigned to another moderator'
+          : 'Only apps pending review can be claimed'
+      });
+    }
+
+    res.json(app);
+  } catch (error) {
+    console.error('App claim error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'App not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Assign a pending app to a moderator, or unassign it with moderatorId null
+// @route   PUT /api/admin/apps/:id/assign
+// @access  Private (apps:moderate)
+router.put('/apps/:id/assign', requirePermission('apps:moderate'), [
+  body('moderatorId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid moderator')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { moderatorId } = req.body;
+
+    if (moderatorId) {
+      const moderator = await User.findById(moderatorId).select('role isActive');
+      if (!moderator || !moderator.isActive || !hasPermission(moderator, 'apps:moderate')) {
+        return res.status(400).json({ message: 'Apps can only be assigned to active moderators' });
+      }
+    }
+
+    const update = moderatorId
+      ? { $set: { moderation: { assignedTo: moderatorId, assignedBy: req.user._id, assignedAt: new Date() } } }
+      : { $unset: { moderation: 1 } };
+
+    const app = await App.findOneAndUpdate({ _id: req.params.id, status: 'pending' }, update, { new: true })
+      .populate('moderation.assignedTo', 'username');
+
+    if (!app) {
+      return res.status(404).json({ message: 'No pending app found' });
+    }
+
+    res.json(app);
+  } catch (error) {
+    console.error('App assignment error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'App not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update app status (approve, reject, or move back to pending or draft)
 // @route   PUT /api/admin/apps/:id/status
-// @access  Private (Admin only)
-router.put('/apps/:id/status', [
+// @access  Private (apps:moderate)
+router.put('/apps/:id/status', requirePermission('apps:moderate'), [
   body('status')
     .isIn(['draft', 'pending', 'approved', 'rejected'])
     .withMessage('Invalid status'),
-  body('rejectionReason')
+  body('reasons')
+    .if(body('status').equals('rejected'))
+    .isArray({ min: 1 })
+    .withMessage('Give at least one rejection reason'),
+  body('reasons')
     .optional()
-    .isLength({ max: 500 })
-    .withMessage('Rejection reason cannot exceed 500 characters')
+    .isArray(),
+  body('reasons.*')
+    .isIn(App.REJECTION_REASONS)
+    .withMessage(`Rejection reasons must be from: ${App.REJECTION_REASONS.join(', ')}`),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -213,23 +428,46 @@ router.put('/apps/:id/status', [
       });
     }
 
-    const { status, rejectionReason } = req.body;
+    const { status, notes } = req.body;
+    const reasons = status === 'rejected' ? req.body.reasons : [];
     const app = await App.findById(req.params.id);
 
     if (!app) {
       return res.status(404).json({ message: 'App not found' });
     }
 
-    app.status = status;
-    
-    // Add rejection reason if status is rejected
-    if (status === 'rejected' && rejectionReason) {
-      app.rejectionReason = rejectionReason;
+    if (app.status === status) {
+      return res.status(400).json({ message: `The app is already ${status}` });
+    }
+
+    // A claimed app is decided by its moderator; admins can step in
+    const assignedTo = app.moderation && app.moderation.assignedTo;
+    if (assignedTo && assignedTo.toString() !== req.user._id.toString() && !hasPermission(req.user, 'apps:manage')) {
+      return res.status(409).json({ message: 'This app is assigned to another moderator' });
+    }
+
+    const set = {};
+    const unset = {};
+    if (status === 'rejected') {
+      set.rejection = { reasons, notes, rejectedBy: req.user._id, rejectedAt: new Date() };
+    } else if (status === 'approved') {
+      unset.rejection = 1;
+    }
+    if (status === 'pending') {
+      set.submittedAt = app.submittedAt || new Date();
     } else {
-      app.rejectionReason = undefined;
+      unset.moderation = 1;
+    }
+    if (status === 'draft') {
+      unset.submittedAt = 1;
     }
 
-    const updatedApp = await app.save();
+    const updatedApp = await App.changeStatus(app, status, { changedBy: req.user._id, reasons, notes, set, unset });
+    if (!updatedApp) {
+      return res.status(409).json({ message: 'The app status changed, please try again' });
+    }
+
+    await notifyAppDecision(updatedApp, { status, reasons, notes });
     
     const populatedApp = await App.findById(updatedApp._id)
       .populate('developer', 'username profile.firstName profile.lastName');
@@ -243,8 +481,8 @@ router.put('/apps/:id/status', [
 
 // @desc    Toggle app featured status
 // @route   PUT /api/admin/apps/:id/featured
-// @access  Private (Admin only)
-router.put('/apps/:id/featured', async (req, res) => {
+// @access  Private (apps:moderate)
+router.put('/apps/:id/featured', requirePermission('apps:moderate'), async (req, res) => {
   try {
     const app = await App.findById(req.params.id);
 
@@ -265,10 +503,302 @@ router.put('/apps/:id/featured', async (req, res) => {
   }
 });
 
+// @desc    Get changes to approved apps, oldest first, with a diff against the live app
+// @route   GET /api/admin/revisions?status=pending|approved|rejected
+// @access  Private (apps:moderate)
+router.get('/revisions', requirePermission('apps:moderate'), [
+  query('status').optional().isIn(['pending', 'approved', 'rejected']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+    const filter = { status };
+    const sort = status === 'pending' ? { updatedAt: 1 } : { reviewedAt: -1 };
+
+    const skip = (page - 1) * limit;
+
+    const [revisions, total] = await Promise.all([
+      AppRevision.find(filter)
+        .populate('app')
+        .populate('developer', 'username')
+        .populate('reviewedBy', 'username')
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AppRevision.countDocuments(filter)
+    ]);
+
+    res.json({
+      revisions: revisions.filter(revision => revision.app).map(revision => ({
+        ...revision.toJSON(),
+        app: { _id: revision.app._id, title: revision.app.title, icon: revision.app.icon, status: revision.app.status },
+        diff: revision.diff(revision.app)
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Revision queue fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a pending revision reviewed. Bumping the version makes a developer's
+// edit that raced with the decision fail rather than land on a closed revision.
+const closeRevision = (revisionId, status, req, { reasons = [], notes } = {}) => AppRevision.findOneAndUpdate(
+  { _id: revisionId, status: 'pending' },
+  { $set: { status, reviewedBy: req.user._id, reviewedAt: new Date(), reasons, notes }, $inc: { __v: 1 } },
+  { new: true }
+);
+
+// @desc    Approve changes to an app, making them live
+// @route   PUT /api/admin/revisions/:id/approve
+// @access  Private (apps:moderate)
+router.put('/revisions/:id/approve', requirePermission('apps:moderate'), [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const revision = await closeRevision(req.params.id, 'approved', req, { notes: req.body.notes });
+    if (!revision) {
+      return res.status(404).json({ message: 'No pending revision found' });
+    }
+
+    const app = await App.findById(revision.app);
+    const previous = app.toObject();
+    revision.applyTo(app);
+    try {
+      await app.save();
+    } catch (error) {
+      // Leave the revision for another try if the app can't take the changes
+      await AppRevision.updateOne(
+        { _id: revision._id },
+        { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1, notes: 1 } }
+      );
+      throw error;
+    }
+
+    await removeUnusedVariants([previous], [app], appImageFolder(app._id));
+    await notifyRevisionDecision(app, { status: 'approved', notes: req.body.notes });
+
+    res.json({ ...revision.toJSON(), app });
+  } catch (error) {
+    console.error('Revision approval error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'No pending revision found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Reject changes to an app; the live listing stays as it was
+// @route   PUT /api/admin/revisions/:id/reject
+// @access  Private (apps:moderate)
+router.put('/revisions/:id/reject', requirePermission('apps:moderate'), [
+  body('reasons')
+    .isArray({ min: 1 })
+    .withMessage('Give at least one rejection reason'),
+  body('reasons.*')
+    .isIn(App.REJECTION_REASONS)
+    .withMessage(`Rejection reasons must be from: ${App.REJECTION_REASONS.join(', ')}`),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Notes cannot exceed 2000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reasons, notes } = req.body;
+    const revision = await closeRevision(req.params.id, 'rejected', req, { reasons, notes });
+    if (!revision) {
+      return res.status(404).json({ message: 'No pending revision found' });
+    }
+
+    const app = await App.findById(revision.app);
+    await removeUnusedVariants([revision.changes], [app], appImageFolder(revision.app));
+    await notifyRevisionDecision(app, { status: 'rejected', reasons, notes });
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Revision rejection error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'No pending revision found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get the review moderation queue
+// @route   GET /api/admin/reviews?status=reported|hidden
+// @access  Private (apps:moderate)
+router.get('/reviews', requirePermission('apps:moderate'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'reported' } = req.query;
+
+    // Reported reviews are still published; the most reported come first
+    const [filter, sort] = status === 'hidden'
+      ? [{ status: 'hidden' }, { 'moderation.hiddenAt': -1 }]
+      : [{ status: 'published', openReportCount: { $gt: 0 } }, { openReportCount: -1, updatedAt: -1 }];
+
+    const skip = (page - 1) * limit;
+
+    const reviews = await Review.find(filter)
+      .populate('app', 'title')
+      .populate('user', 'username email')
+      .populate('moderation.hiddenBy', 'username')
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const reports = await ReviewReport.find({ review: { $in: reviews.map(review => review._id) } })
+      .populate('reporter', 'username')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    reviews.forEach(review => {
+      review.reports = reports.filter(report => report.review.toString() === review._id.toString());
+    });
+
+    const total = await Review.countDocuments(filter);
+
+    res.json({
+      reviews,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Review queue fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Hide a review
+// @route   PUT /api/admin/reviews/:id/hide
+// @access  Private (apps:moderate)
+router.put('/reviews/:id/hide', requirePermission('apps:moderate'), [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.hide(req.params.id, req.user._id, req.body.reason);
+    if (!review) {
+      const exists = await Review.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ message: 'Review is already hidden' })
+        : res.status(404).json({ message: 'Review not found' });
+    }
+
+    await ReviewReport.resolveForReview(review._id, 'hidden', req.user._id);
+
+    res.json(await Review.syncOpenReportCount(review._id));
+  } catch (error) {
+    console.error('Review hide error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Restore a hidden review
+// @route   PUT /api/admin/reviews/:id/restore
+// @access  Private (apps:moderate)
+router.put('/reviews/:id/restore', requirePermission('apps:moderate'), async (req, res) => {
+  try {
+    const review = await Review.restore(req.params.id);
+    if (!review) {
+      const exists = await Review.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ message: 'Review is not hidden' })
+        : res.status(404).json({ message: 'Review not found' });
+    }
+
+    res.json(review);
+  } catch (error) {
+    console.error('Review restore error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Dismiss the open reports on a review and keep it published
+// @route   PUT /api/admin/reviews/:id/dismiss-reports
+// @access  Private (apps:moderate)
+router.put('/reviews/:id/dismiss-reports', requirePermission('apps:moderate'), async (req, res) => {
+  try {
+    if (!await Review.exists({ _id: req.params.id })) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await ReviewReport.resolveForReview(req.params.id, 'dismissed', req.user._id);
+
+    res.json(await Review.syncOpenReportCount(req.params.id));
+  } catch (error) {
+    console.error('Review report dismissal error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/dashboard
-// @access  Private (Admin only)
-router.get('/dashboard', async (req, res) => {
+// @access  Private (dashboard:view)
+router.get('/dashboard', requirePermission('dashboard:view'), async (req, res) => {
   try {
     // Get counts
     const totalUsers = await User.countDocuments();
@@ -316,10 +846,58 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
+// @desc    Get site settings
+// @route   GET /api/admin/settings
+// @access  Private (settings:manage)
+router.get('/settings', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json(await Setting.getAll());
+  } catch (error) {
+    console.error('Settings fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update site settings
+// @route   PUT /api/admin/settings
+// @access  Private (settings:manage)
+router.put('/settings', requirePermission('settings:manage'), [
+  body('requireAdminTwoFactor')
+    .optional()
+    .isBoolean()
+    .withMessage('requireAdminTwoFactor must be a boolean')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { requireAdminTwoFactor } = req.body;
+
+    if (requireAdminTwoFactor !== undefined) {
+      // Don't let an admin lock themselves out of the admin area
+      if (requireAdminTwoFactor && !req.user.twoFactor.enabled) {
+        return res.status(400).json({ message: 'Enable two-factor authentication on your own account first' });
+      }
+      await Setting.setValue('requireAdminTwoFactor', requireAdminTwoFactor, req.user._id);
+    }
+
+    res.json(await Setting.getAll());
+  } catch (error) {
+    console.error('Settings update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get system health
 // @route   GET /api/admin/health
-// @access  Private (Admin only)
-router.get('/health', async (req, res) => {
+// @access  Private (dashboard:view)
+router.get('/health', requirePermission('dashboard:view'), async (req, res) => {
   try {
     // Check database connection
     const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
@@ -1,73 +1,114 @@
 const express = require('express');
+const semver = require('semver');
 const { body, validationResult, query } = require('express-validator');
 const App = require('../models/App');
 const User = require('../models/User');
-const { protect, ownerOrAdmin, hasPurchased } = require('../middleware/auth');
+const Release = require('../models/Release');
+const Review = require('../models/Review');
+const AppRevision = require('../models/AppRevision');
+const releaseRoutes = require('./releases');
+const reviewRoutes = require('./reviews');
+const { protect, requireScope, requireVerifiedEmail, requirePermission, ownerOrAdmin, hasPurchased, freeOrPurchased } = require('../middleware/auth');
+const { uploadIcon, uploadScreenshots } = require('../middleware/upload');
+const { removeQuietly } = require('../utils/storage');
+const { ImageValidationError, appImageFolder, processIcon, processScreenshot, removeVariants, removeUnusedVariants } = require('../utils/imageProcessing');
+const { createDownloadUrl } = require('../utils/downloadLinks');
+const { recordView } = require('../utils/viewTracking');
+const { runSubmissionChecklist } = require('../utils/submissionChecklist');
+const { hasPermission } = require('../utils/permissions');
+const { SORT_FIELDS, buildSearchFilters, combineFilters, resolveSortBy, buildSort, findRankedPage, countFacets } = require('../utils/appSearch');
+const { searchAppIds } = require('../utils/searchIndex');
 
 const router = express.Router();
 
-// @desc    Get all apps with search and filtering
-// @route   GET /api/apps
+const MAX_SCREENSHOTS = 10;
+
+// Listing fields a developer sets through create and update. Everything else
+// has its own route: images are uploaded, the version comes from releases,
+// status and moderation from submission and review, ratings from reviews.
+const EDITABLE_FIELDS = [
+  'title', 'description', 'shortDescription', 'category', 'price', 'images',
+  'features', 'requirements', 'privacyPolicyUrl', 'platforms', 'tags'
+];
+
+const editableFields = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => field in body).map(field => [field, body[field]])
+);
+
+// Listing changes to an approved app wait for a moderator, unless an admin makes them
+const holdsForReview = (req, app) => app.status === 'approved' && !hasPermission(req.user, 'apps:manage');
+
+// Merge changes into the app's pending revision, deleting uploaded images the
+// revision no longer uses. Returns the revision, or null if nothing is pending.
+const stageRevision = async (req, app, changes) => {
+  const previous = await AppRevision.findOne({ app: app._id, status: 'pending' });
+  const revision = await AppRevision.stage(app, req.user._id, changes);
+  if (previous) {
+    await removeUnusedVariants([previous.changes], [app, ...(revision ? [revision.changes] : [])], appImageFolder(app._id));
+  }
+  return revision;
+};
+
+// Two edits of the same pending revision at once
+const isRevisionConflict = (error) => error.name === 'VersionError' || error.code === 11000;
+
+// @desc    Search approved apps, tolerating typos and partial words, with counts for every filter value
+// @route   GET /api/apps?search=&category=&priceBand=&minPrice=&maxPrice=&minRating=&platform=&tags=&sortBy=&sortOrder=&page=&limit=
 // @access  Public
 router.get('/', [
   query('search').optional().isString(),
   query('category').optional().isString(),
+  query('priceBand').optional().isString(),
   query('minPrice').optional().isNumeric(),
   query('maxPrice').optional().isNumeric(),
-  query('sortBy').optional().isIn(['title', 'price', 'rating', 'downloads', 'createdAt']),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }),
+  query('platform').optional().isString(),
+  query('tags').optional().isString(),
+  query('sortBy').optional().isIn([...Object.keys(SORT_FIELDS), 'relevance']),
   query('sortOrder').optional().isIn(['asc', 'desc']),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 })
 ], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const {
-      search,
-      category,
-      minPrice,
-      maxPrice,
-      sortBy = 'createdAt',
       sortOrder = 'desc',
       page = 1,
       limit = 12
-    } = req.body;
-
-    // Build filter object
-    const filter = { status: 'approved' };
-    
-    if (search) {
-      filter.$text = { $search: search };
-    }
-    
-    if (category) {
-      filter.category = category;
-    }
-    
-    if (minPrice !== undefined || maxPrice !== undefined) {
-      filter.price = {};
-      if (minPrice !== undefined) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice !== undefined) filter.price.$lte = parseFloat(maxPrice);
-    }
+    } = req.query;
+    const sortBy = resolveSortBy(req.query);
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    // Null while the search index is still loading
+    const matchedIds = req.query.search ? searchAppIds(req.query.search) : null;
+    const filters = buildSearchFilters(req.query, matchedIds);
+    const filter = combineFilters(filters);
 
     // Calculate pagination
     const skip = (page - 1) * limit;
 
-    // Execute query
-    const apps = await App.find(filter)
-      .populate('developer', 'username profile.firstName profile.lastName')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-ratings.reviews');
-
-    // Get total count for pagination
-    const total = await App.countDocuments(filter);
+    const [apps, total, facets] = await Promise.all([
+      sortBy === 'relevance' && matchedIds
+        ? findRankedPage(filter, matchedIds, skip, parseInt(limit))
+        : App.find(filter)
+          .populate('developer', 'username profile.firstName profile.lastName')
+          .sort(buildSort(sortBy, sortOrder))
+          .skip(skip)
+          .limit(parseInt(limit)),
+      App.countDocuments(filter),
+      countFacets(filters)
+    ]);
 
     res.json({
       apps,
+      facets,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / limit),
@@ -91,8 +132,7 @@ router.get('/featured', async (req, res) => {
       isFeatured: true 
     })
     .populate('developer', 'username profile.firstName profile.lastName')
-    .limit(6)
-    .select('-ratings.reviews');
+    .limit(6);
 
     res.json(featuredApps);
   } catch (error) {
@@ -101,24 +141,68 @@ router.get('/featured', async (req, res) => {
   }
 });
 
+// @desc    Get a download link for the latest release
+// @route   GET /api/apps/:id/download
+// @access  Private (Free app, or must have purchased)
+router.get('/:id/download', protect, requireScope('apps:read'), freeOrPurchased(App), async (req, res) => {
+  try {
+    const releases = await Release.find({
+      app: req.params.id,
+      status: 'published',
+      $or: [{ 'artifact.key': { $exists: true } }, { 'artifact.url': { $exists: true } }]
+    });
+
+    const latest = releases.sort((a, b) => semver.rcompare(a.version, b.version))[0];
+    if (!latest) {
+      return res.status(404).json({ message: 'No downloadable release found' });
+    }
+
+    // Externally hosted builds go through the signed link too, so every download is counted
+    const { url, expiresAt } = createDownloadUrl(req, latest._id, req.user._id);
+    res.json({
+      url,
+      expiresAt,
+      version: latest.version,
+      fileName: latest.artifact.fileName,
+      size: latest.artifact.size
+    });
+  } catch (error) {
+    console.error('Download link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get app by ID
 // @route   GET /api/apps/:id
 // @access  Public
 router.get('/:id', async (req, res) => {
   try {
     const app = await App.findById(req.params.id)
-      .populate('developer', 'username profile.firstName profile.lastName profile.avatar')
-      .populate('ratings.reviews.user', 'username profile.firstName profile.lastName profile.avatar');
+      .populate('developer', 'username profile.firstName profile.lastName profile.avatar');
 
     if (!app) {
       return res.status(404).json({ message: 'App not found' });
     }
 
-    // Increment downloads count
-    app.downloads += 1;
-    await app.save();
+    recordView(req, 'App', app._id);
+
+    // Ratings per published release, newest first; the first is the current version
+    const releases = await Release.find({ app: app._id, status: 'published' })
+      .select('version releasedAt ratings.average ratings.count');
+    const releaseRatings = releases
+      .sort((a, b) => semver.rcompare(a.version, b.version))
+      .map(release => ({
+        version: release.version,
+        releasedAt: release.releasedAt,
+        average: release.ratings.average,
+        count: release.ratings.count
+      }));
 
-    res.json(app);
+    res.json({
+      ...app.toJSON(),
+      releaseRatings,
+      currentVersionRatings: releaseRatings[0] || null
+    });
   } catch (error) {
     console.error('App fetch error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -127,8 +211,8 @@ router.get('/:id', async (req, res) => {
 
 // @desc    Create new app
 // @route   POST /api/apps
-// @access  Private
-router.post('/', protect, [
+// @access  Private (Developer, verified email)
+router.post('/', protect, requireScope('apps:write'), requirePermission('apps:publish'), requireVerifiedEmail, [
   body('title')
     .isLength({ min: 1, max: 100 })
     .withMessage('Title is required and cannot exceed 100 characters'),
@@ -150,11 +234,9 @@ router.post('/', protect, [
     .isFloat({ min: 0 })
     .withMessage('Price must be a non-negative number'),
   body('images')
-    .isArray({ min: 1 })
-    .withMessage('At least one image is required'),
-  body('icon')
-    .notEmpty()
-    .withMessage('App icon is required'),
+    .optional()
+    .isArray()
+    .withMessage('Images must be an array'),
   body('features')
     .optional()
     .isArray()
@@ -162,7 +244,18 @@ router.post('/', protect, [
   body('tags')
     .optional()
     .isArray()
-    .withMessage('Tags must be an array')
+    .withMessage('Tags must be an array'),
+  body('privacyPolicyUrl')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Privacy policy must be a valid URL'),
+  body('platforms')
+    .optional()
+    .isArray()
+    .withMessage('Platforms must be an array'),
+  body('platforms.*')
+    .isIn(App.PLATFORMS)
+    .withMessage(`Platforms must be from: ${App.PLATFORMS.join(', ')}`)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -175,7 +268,8 @@ router.post('/', protect, [
     }
 
     const appData = {
-      ...req.body,
+      ...editableFields(req.body),
+      status: 'draft',
       developer: req.user._id,
       isFree: req.body.price === 0
     };
@@ -195,7 +289,7 @@ router.post('/', protect, [
 // @desc    Update app
 // @route   PUT /api/apps/:id
 // @access  Private (Owner or Admin)
-router.put('/:id', protect, ownerOrAdmin(App), [
+router.put('/:id', protect, requireScope('apps:write'), ownerOrAdmin(App), [
   body('title')
     .optional()
     .isLength({ min: 1, max: 100 })
@@ -225,10 +319,17 @@ router.put('/:id', protect, ownerOrAdmin(App), [
     .optional()
     .isArray({ min: 1 })
     .withMessage('At least one image is required'),
-  body('icon')
+  body('privacyPolicyUrl')
     .optional()
-    .notEmpty()
-    .withMessage('App icon is required')
+    .isURL({ require_tld: false })
+    .withMessage('Privacy policy must be a valid URL'),
+  body('platforms')
+    .optional()
+    .isArray()
+    .withMessage('Platforms must be an array'),
+  body('platforms.*')
+    .isIn(App.PLATFORMS)
+    .withMessage(`Platforms must be from: ${App.PLATFORMS.join(', ')}`)
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -245,24 +346,37 @@ router.put('/:id', protect, ownerOrAdmin(App), [
       return res.status(404).json({ message: 'App not found' });
     }
 
-    // Update fields
-    Object.keys(req.body).forEach(key => {
-      if (key !== 'developer' && key !== 'status') {
-        app[key] = req.body[key];
+    // Listing changes to an approved app are held for review; the rest goes live
+    const changes = editableFields(req.body);
+    const heldFields = holdsForReview(req, app)
+      ? AppRevision.REVISABLE_FIELDS.filter(field => field in changes)
+      : [];
+    const pendingRevision = heldFields.length
+      ? await stageRevision(req, app, Object.fromEntries(heldFields.map(field => [field, changes[field]])))
+      : await AppRevision.findOne({ app: app._id, status: 'pending' });
+
+    Object.entries(changes).forEach(([field, value]) => {
+      if (!heldFields.includes(field)) {
+        app[field] = value;
       }
     });
 
     app.isFree = app.price === 0;
-    app.lastUpdated = new Date();
 
     const updatedApp = await app.save();
     
     const populatedApp = await App.findById(updatedApp._id)
       .populate('developer', 'username profile.firstName profile.lastName');
 
-    res.json(populatedApp);
+    res.json({
+      ...populatedApp.toJSON(),
+      pendingRevision: pendingRevision && { ...pendingRevision.toJSON(), diff: pendingRevision.diff(populatedApp) }
+    });
   } catch (error) {
     console.error('App update error:', error);
+    if (isRevisionConflict(error)) {
+      return res.status(409).json({ message: 'The app was changed at the same time, please try again' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -270,14 +384,28 @@ router.put('/:id', protect, ownerOrAdmin(App), [
 // @desc    Delete app
 // @route   DELETE /api/apps/:id
 // @access  Private (Owner or Admin)
-router.delete('/:id', protect, ownerOrAdmin(App), async (req, res) => {
+router.delete('/:id', protect, requireScope('apps:write'), ownerOrAdmin(App), async (req, res) => {
   try {
     const app = await App.findById(req.params.id);
     if (!app) {
       return res.status(404).json({ message: 'App not found' });
     }
 
+    const releases = await Release.find({ app: req.params.id }).select('artifact.key');
+    const revisions = await AppRevision.find({ app: req.params.id, status: 'pending' });
+
     await App.findByIdAndDelete(req.params.id);
+    await Release.deleteMany({ app: req.params.id });
+    await Review.deleteForApp(req.params.id);
+    await AppRevision.deleteMany({ app: req.params.id });
+    await removeUnusedVariants(revisions.map(revision => revision.changes), [], appImageFolder(app._id));
+    await removeVariants([
+      { url: app.icon },
+      ...app.iconVariants,
+      ...app.screenshots.map(url => ({ url })),
+      ...app.screenshotVariants.flatMap(entry => entry.variants)
+    ], appImageFolder(app._id));
+    await removeQuietly(releases.map(release => release.artifact && release.artifact.key));
     res.json({ message: 'App deleted successfully' });
   } catch (error) {
     console.error('App deletion error:', error);
@@ -285,6 +413,307 @@ router.delete('/:id', protect, ownerOrAdmin(App), async (req, res) => {
   }
 });
 
+// @desc    Check whether an app is ready to submit for review
+// @route   GET /api/apps/:id/submission-checklist
+// @access  Private (Owner or Admin)
+router.get('/:id/submission-checklist', protect, requireScope('apps:read'), ownerOrAdmin(App), async (req, res) => {
+  try {
+    const app = await App.findById(req.params.id);
+    const checklist = await runSubmissionChecklist(app);
+
+    res.json({ status: app.status, submittedAt: app.submittedAt, rejection: app.rejection, ...checklist });
+  } catch (error) {
+    console.error('Submission checklist error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Submit an app for review
+// @route   POST /api/apps/:id/submit
+// @access  Private (Owner or Admin)
+router.post('/:id/submit', protect, requireScope('apps:write'), ownerOrAdmin(App), async (req, res) => {
+  try {
+    const app = await App.findById(req.params.id);
+    if (!['draft', 'rejected'].includes(app.status)) {
+      return res.status(400).json({ message: `A ${app.status} app can't be submitted for review` });
+    }
+
+    const checklist = await runSubmissionChecklist(app);
+    if (!checklist.ready) {
+      return res.status(400).json({
+        message: 'The app is not ready to submit',
+        ...checklist
+      });
+    }
+
+    // Only move the app if nobody changed its status in the meantime
+    const submitted = await App.changeStatus(app, 'pending', {
+      changedBy: req.user._id,
+      set: { submittedAt: new Date() }
+    }).populate('developer', 'username profile.firstName profile.lastName');
+
+    if (!submitted) {
+      return res.status(409).json({ message: 'The app status changed, please try again' });
+    }
+
+    res.json(submitted);
+  } catch (error) {
+    console.error('App submission error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Withdraw a pending submission, returning the app to draft
+// @route   POST /api/apps/:id/withdraw
+// @access  Private (Owner or Admin)
+router.post('/:id/withdraw', protect, requireScope('apps:write'), ownerOrAdmin(App), async (req, res) => {
+  try {
+    const app = await App.findById(req.params.id);
+    if (app.status !== 'pending') {
+      return res.status(400).json({ message: 'Only apps pending review can be withdrawn' });
+    }
+
+    const withdrawn = await App.changeStatus(app, 'draft', {
+      changedBy: req.user._id,
+      unset: { submittedAt: 1, moderation: 1 }
+    }).populate('developer', 'username profile.firstName profile.lastName');
+
+    if (!withdrawn) {
+      return res.status(409).json({ message: 'The app status changed, please try again' });
+    }
+
+    res.json(withdrawn);
+  } catch (error) {
+    console.error('Submission withdrawal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get an app's review status history
+// @route   GET /api/apps/:id/status-history
+// @access  Private (Owner or Admin)
+router.get('/:id/status-history', protect, requireScope('apps:read'), ownerOrAdmin(App), async (req, res) => {
+  try {
+    const app = await App.findById(req.params.id)
+      .select('status submittedAt rejection +statusHistory')
+      .populate('statusHistory.changedBy', 'username');
+
+    res.json({
+      status: app.status,
+      submittedAt: app.submittedAt,
+      rejection: app.rejection,
+      history: app.statusHistory
+    });
+  } catch (error) {
+    console.error('Status history fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get the changes to an approved app waiting for review
+// @route   GET /api/apps/:id/revision
+// @access  Private (Owner or Admin)
+router.get('/:id/revision', protect, requireScope('apps:read'), ownerOrAdmin(App), async (req, res) => {
+  try {
+    const app = await App.findById(req.params.id);
+    const revision = await AppRevision.findOne({ app: app._id, status: 'pending' });
+    if (!revision) {
+      return res.status(404).json({ message: 'No changes are waiting for review' });
+    }
+
+    res.json({ ...revision.toJSON(), diff: revision.diff(app) });
+  } catch (error) {
+    console.error('Revision fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Discard the changes to an approved app waiting for review
+// @route   DELETE /api/apps/:id/revision
+// @access  Private (Owner or Admin)
+router.delete('/:id/revision', protect, requireScope('apps:write'), ownerOrAdmin(App), async (req, res) => {
+  try {
+    const app = await App.findById(req.params.id);
+    const revision = await AppRevision.findOneAndUpdate(
+      { app: app._id, status: 'pending' },
+      { $set: { status: 'withdrawn', submittedBy: req.user._id }, $inc: { __v: 1 } },
+      { new: true }
+    );
+    if (!revision) {
+      return res.status(404).json({ message: 'No changes are waiting for review' });
+    }
+
+    await removeUnusedVariants([revision.changes], [app], appImageFolder(app._id));
+
+    res.json({ message: 'Changes discarded' });
+  } catch (error) {
+    console.error('Revision withdrawal error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Upload app icon
+// @route   POST /api/apps/:id/icon
+// @access  Private (Owner or Admin)
+router.post('/:id/icon', protect, requireScope('apps:write'), ownerOrAdmin(App), uploadIcon, async (req, res) => {
+  try {
+    const app = await App.findById(req.params.id);
+    const { url, variants } = await processIcon(req.file.path, `${appImageFolder(app._id)}/icon`);
+
+    if (holdsForReview(req, app)) {
+      const revision = await stageRevision(req, app, { icon: url, iconVariants: variants });
+      return res.json({ icon: url, iconVariants: variants, pendingRevision: revision });
+    }
+
+    const previousVariants = [...app.iconVariants, { url: app.icon }];
+    app.icon = url;
+    app.iconVariants = variants;
+    await app.save();
+    await removeVariants(previousVariants, appImageFolder(app._id));
+
+    res.json({ icon: app.icon, iconVariants: app.iconVariants });
+  } catch (error) {
+    if (error instanceof ImageValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Icon upload error:', error);
+    if (isRevisionConflict(error)) {
+      return res.status(409).json({ message: 'The app was changed at the same time, please try again' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Upload app screenshots
+// @route   POST /api/apps/:id/screenshots
+// @access  Private (Owner or Admin)
+router.post('/:id/screenshots', protect, requireScope('apps:write'), ownerOrAdmin(App), uploadScreenshots, async (req, res) => {
+  const processed = [];
+  try {
+    const app = await App.findById(req.params.id);
+
+    // For an approved app, add to the screenshots waiting for review
+    const heldForReview = holdsForReview(req, app);
+    const revision = heldForReview && await AppRevision.findOne({ app: app._id, status: 'pending' });
+    const screenshots = revision ? revision.proposed(app, 'screenshots') : app.screenshots;
+
+    if (screenshots.length + req.files.length > MAX_SCREENSHOTS) {
+      return res.status(400).json({ message: `An app can have at most ${MAX_SCREENSHOTS} screenshots` });
+    }
+
+    for (const file of req.files) {
+      const { url, width, height, variants } = await processScreenshot(file.path, `${appImageFolder(app._id)}/screenshots`);
+      processed.push({ screenshot: url, width, height, variants });
+    }
+
+    if (heldForReview) {
+      const screenshotVariants = revision ? revision.proposed(app, 'screenshotVariants') : app.screenshotVariants;
+      const staged = await stageRevision(req, app, {
+        screenshots: [...screenshots, ...processed.map(entry => entry.screenshot)],
+        screenshotVariants: [...screenshotVariants, ...processed]
+      });
+      return res.status(201).json({
+        screenshots: staged.changes.screenshots,
+        screenshotVariants: staged.changes.screenshotVariants,
+        pendingRevision: staged
+      });
+    }
+
+    // Push atomically so parallel uploads don't overwrite each other
+    const updatedApp = await App.findByIdAndUpdate(
+      app._id,
+      {
+        $push: {
+          screenshots: { $each: processed.map(entry => entry.screenshot) },
+          screenshotVariants: { $each: processed }
+        }
+      },
+      { new: true }
+    );
+
+    res.status(201).json({
+      screenshots: updatedApp.screenshots,
+      screenshotVariants: updatedApp.screenshotVariants
+    });
+  } catch (error) {
+    await removeVariants(processed.flatMap(entry => entry.variants), appImageFolder(req.params.id));
+    if (error instanceof ImageValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Screenshot upload error:', error);
+    if (isRevisionConflict(error)) {
+      return res.status(409).json({ message: 'The app was changed at the same time, please try again' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove an app screenshot
+// @route   DELETE /api/apps/:id/screenshots
+// @access  Private (Owner or Admin)
+router.delete('/:id/screenshots', protect, requireScope('apps:write'), ownerOrAdmin(App), [
+  body('url')
+    .notEmpty()
+    .withMessage('Screenshot URL is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const current = await App.findById(req.params.id);
+    if (holdsForReview(req, current)) {
+      const revision = await AppRevision.findOne({ app: current._id, status: 'pending' });
+      const proposed = (field) => (revision ? revision.proposed(current, field) : current.get(field));
+      if (!proposed('screenshots').includes(req.body.url)) {
+        return res.status(404).json({ message: 'Screenshot not found' });
+      }
+
+      const staged = await stageRevision(req, current, {
+        screenshots: proposed('screenshots').filter(url => url !== req.body.url),
+        screenshotVariants: proposed('screenshotVariants').filter(e => e.screenshot !== req.body.url)
+      });
+      return res.json({
+        screenshots: staged ? staged.changes.screenshots : current.screenshots,
+        screenshotVariants: staged ? staged.changes.screenshotVariants : current.screenshotVariants,
+        pendingRevision: staged
+      });
+    }
+
+    const app = await App.findOneAndUpdate(
+      { _id: req.params.id, screenshots: req.body.url },
+      {
+        $pull: {
+          screenshots: req.body.url,
+          screenshotVariants: { screenshot: req.body.url }
+        }
+      }
+    );
+    if (!app) {
+      return res.status(404).json({ message: 'Screenshot not found' });
+    }
+
+    const entry = app.screenshotVariants.find(e => e.screenshot === req.body.url);
+    await removeVariants([{ url: req.body.url }, ...(entry ? entry.variants : [])], appImageFolder(app._id));
+
+    res.json({
+      screenshots: app.screenshots.filter(url => url !== req.body.url),
+      screenshotVariants: app.screenshotVariants.filter(e => e.screenshot !== req.body.url)
+    });
+  } catch (error) {
+    console.error('Screenshot removal error:', error);
+    if (isRevisionConflict(error)) {
+      return res.status(409).json({ message: 'The app was changed at the same time, please try again' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Add/Remove from wishlist
 // @route   POST /api/apps/:id/wishlist
 // @access  Private
@@ -357,7 +786,8 @@ router.post('/:id/purchase', protect, async (req, res) => {
 router.post('/:id/review', protect, hasPurchased, [
   body('rating')
     .isInt({ min: 1, max: 5 })
-    .withMessage('Rating must be between 1 and 5'),
+    .withMessage('Rating must be between 1 and 5')
+    .toInt(),
   body('comment')
     .optional()
     .isLength({ max: 500 })
@@ -373,41 +803,19 @@ router.post('/:id/review', protect, hasPurchased, [
       });
     }
 
-    const { rating, comment } = req.body;
-    const app = await App.findById(req.params.id);
+    const { rating, comment = '' } = req.body;
+    const app = await App.findById(req.params.id).select('_id');
 
     if (!app) {
       return res.status(404).json({ message: 'App not found' });
     }
 
-    // Check if user already reviewed
-    const existingReviewIndex = app.ratings.reviews.findIndex(
-      review => review.user.toString() === req.user._id.toString()
-    );
-
-    if (existingReviewIndex !== -1) {
-      // Update existing review
-      app.ratings.reviews[existingReviewIndex].rating = rating;
-      app.ratings.reviews[existingReviewIndex].comment = comment || '';
-      app.ratings.reviews[existingReviewIndex].createdAt = new Date();
-    } else {
-      // Add new review
-      app.ratings.reviews.push({
-        user: req.user._id,
-        rating,
-        comment: comment || ''
-      });
-    }
-
-    // Update average rating
-    app.updateAverageRating();
-    await app.save();
+    const review = await Review.saveForUser(app._id, req.user._id, { rating, comment });
+    await review.populate('user', 'username profile.firstName profile.lastName profile.avatar');
 
-    const updatedApp = await App.findById(req.params.id)
-      .populate('developer', 'username profile.firstName profile.lastName')
-      .populate('ratings.reviews.user', 'username profile.firstName profile.lastName profile.avatar');
+    const { ratings } = await App.findById(app._id).select('ratings');
 
-    res.json(updatedApp);
+    res.json({ review, ratings });
   } catch (error) {
     console.error('Review submission error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -417,7 +825,7 @@ router.post('/:id/review', protect, hasPurchased, [
 // @desc    Get user's apps
 // @route   GET /api/apps/user/my-apps
 // @access  Private
-router.get('/user/my-apps', protect, async (req, res) => {
+router.get('/user/my-apps', protect, requireScope('apps:read'), async (req, res) => {
   try {
     const apps = await App.find({ developer: req.user._id })
       .sort({ createdAt: -1 });
@@ -429,4 +837,8 @@ router.get('/user/my-apps', protect, async (req, res) => {
   }
 });
 
+// Release history and reviews
+router.use('/:id/releases', releaseRoutes);
+router.use('/:id/reviews', reviewRoutes);
+
 module.exports = router;
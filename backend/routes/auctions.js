@@ -1,8 +1,9 @@
 import express from 'express'
 import { body, validationResult } from 'express-validator'
-import { protect, ownerOrAdmin } from '../middleware/auth.js'
+import { protect, requireScope, requireVerifiedEmail, requirePermission, ownerOrAdmin } from '../middleware/auth.js'
 import Auction from '../models/Auction.js'
 import User from '../models/User.js'
+import { recordView } from '../utils/viewTracking.js'
 
 const router = express.Router()
 
@@ -125,9 +126,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Auction is not active' })
     }
 
-    // Increment views
-    auction.views += 1
-    await auction.save()
+    recordView(req, 'Auction', auction._id)
 
     res.json(auction)
   } catch (error) {
@@ -141,8 +140,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/auctions
 // @desc    Create new auction
-// @access  Private
-router.post('/', protect, validateAuction, async (req, res) => {
+// @access  Private (Verified email)
+router.post('/', protect, requireScope('auctions:write'), requirePermission('auctions:create'), requireVerifiedEmail, validateAuction, async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -170,7 +169,7 @@ router.post('/', protect, validateAuction, async (req, res) => {
 // @route   PUT /api/auctions/:id
 // @desc    Update auction
 // @access  Private (owner only)
-router.put('/:id', protect, ownerOrAdmin, validateAuction, async (req, res) => {
+router.put('/:id', protect, requireScope('auctions:write'), ownerOrAdmin, validateAuction, async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -206,7 +205,7 @@ router.put('/:id', protect, ownerOrAdmin, validateAuction, async (req, res) => {
 // @route   DELETE /api/auctions/:id
 // @desc    Delete auction
 // @access  Private (owner only)
-router.delete('/:id', protect, ownerOrAdmin, async (req, res) => {
+router.delete('/:id', protect, requireScope('auctions:write'), ownerOrAdmin, async (req, res) => {
   try {
     const auction = await Auction.findById(req.params.id)
     if (!auction) {
@@ -233,8 +232,8 @@ router.delete('/:id', protect, ownerOrAdmin, async (req, res) => {
 
 // @route   POST /api/auctions/:id/bid
 // @desc    Submit bid on auction
-// @access  Private
-router.post('/:id/bid', protect, validateBid, async (req, res) => {
+// @access  Private (Developer, verified email)
+router.post('/:id/bid', protect, requireScope('auctions:write'), requirePermission('auctions:bid'), requireVerifiedEmail, validateBid, async (req, res) => {
   try {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -287,7 +286,7 @@ router.post('/:id/bid', protect, validateBid, async (req, res) => {
 // @route   PUT /api/auctions/:id/bid/:bidId/accept
 // @desc    Accept bid on auction
 // @access  Private (owner only)
-router.put('/:id/bid/:bidId/accept', protect, ownerOrAdmin, async (req, res) => {
+router.put('/:id/bid/:bidId/accept', protect, requireScope('auctions:write'), ownerOrAdmin, async (req, res) => {
   try {
     const auction = await Auction.findById(req.params.id)
     if (!auction) {
@@ -325,7 +324,7 @@ router.put('/:id/bid/:bidId/accept', protect, ownerOrAdmin, async (req, res) =>
 // @route   GET /api/auctions/user/my-auctions
 // @desc    Get user's auctions
 // @access  Private
-router.get('/user/my-auctions', protect, async (req, res) => {
+router.get('/user/my-auctions', protect, requireScope('auctions:read'), async (req, res) => {
   try {
     const auctions = await Auction.find({ buyer: req.user.id, isActive: true })
       .populate('bids.developer', 'username profile.firstName profile.lastName profile.avatar')
@@ -342,7 +341,7 @@ router.get('/user/my-auctions', protect, async (req, res) => {
 // @route   GET /api/auctions/user/my-bids
 // @desc    Get user's bids
 // @access  Private
-router.get('/user/my-bids', protect, async (req, res) => {
+router.get('/user/my-bids', protect, requireScope('auctions:read'), async (req, res) => {
   try {
     const auctions = await Auction.find({
       'bids.developer': req.user.id,
@@ -1,15 +1,95 @@
 const express = require('express');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const OAuthState = require('../models/OAuthState');
 const { protect } = require('../middleware/auth');
+const { sendMail, frontendUrl } = require('../utils/mailer');
+const { generateSecret, buildOtpauthUrl } = require('../utils/totp');
+const { getProviders, getProvider } = require('../utils/oidc');
+const { isStaffRole } = require('../utils/permissions');
+const {
+  getLockout,
+  delayAfterFailures,
+  recordFailure,
+  recordSuccess,
+  forgetAccount
+} = require('../utils/loginProtection');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+// Open a new session and issue its access and refresh tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, req);
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Generate a short-lived token proving the password step of a two-factor login
+const generateTwoFactorToken = (id) => {
+  return jwt.sign({ id, purpose: 'two-factor' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Reply 429 if the account or IP is locked out; returns true when it did
+const rejectIfLockedOut = async (email, req, res) => {
+  const lockout = await getLockout(email, req.ip);
+  if (lockout.retryAfter) {
+    res.set('Retry-After', String(lockout.retryAfter));
+    res.status(429).json({
+      message: `Too many failed login attempts. Try again in ${Math.ceil(lockout.retryAfter / 60)} minute(s).`,
+      retryAfter: lockout.retryAfter
+    });
+    return true;
+  }
+  await delayAfterFailures(lockout.recentFailures);
+  return false;
+};
+
+// Record the login and build the response with a fresh session
+const completeLogin = async (user, req) => {
+  await recordSuccess(user.email);
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  return {
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactor.enabled,
+    profile: user.profile,
+    ...(await issueTokens(user, req))
+  };
+};
+
+// Issue a fresh verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = frontendUrl(`/verify-email?token=${verificationToken}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your AppBazaar email address',
+    text: `Hi ${user.username},\n\nConfirm your email address to start publishing apps and bidding on auctions. The link expires in 24 hours.\n\n${verifyUrl}`
   });
 };
 
@@ -35,7 +115,11 @@ router.post('/register', [
   body('lastName')
     .optional()
     .isLength({ max: 50 })
-    .withMessage('Last name cannot exceed 50 characters')
+    .withMessage('Last name cannot exceed 50 characters'),
+  body('accountType')
+    .optional()
+    .isIn(['user', 'developer'])
+    .withMessage('Account type must be user or developer')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -47,7 +131,7 @@ router.post('/register', [
       });
     }
 
-    const { username, email, password, firstName, lastName } = req.body;
+    const { username, email, password, firstName, lastName, accountType } = req.body;
 
     // Check if user already exists
     const userExists = await User.findOne({ 
@@ -65,6 +149,7 @@ router.post('/register', [
       username,
       email,
       password,
+      role: accountType || 'user',
       profile: {
         firstName: firstName || '',
         lastName: lastName || ''
@@ -72,13 +157,21 @@ router.post('/register', [
     });
 
     if (user) {
+      // A failed email shouldn't fail registration; the user can resend it
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+
       res.status(201).json({
         _id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         profile: user.profile,
-        token: generateToken(user._id)
+        ...(await issueTokens(user, req))
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -112,10 +205,14 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Refuse locked accounts and addresses before checking the password
+    if (await rejectIfLockedOut(email, req, res)) return;
+
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await recordFailure({ email, ip: req.ip });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
@@ -127,23 +224,397 @@ router.post('/login', [
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordFailure({ email, ip: req.ip, user });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
+    // Hold back the session until the second factor is checked
+    if (user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorToken(user._id)
+      });
+    }
+
+    res.json(await completeLogin(user, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post('/login/2fa', [
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Invalid recovery code')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'An authentication code or recovery code is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      return res.status(401).json({ message: 'Login has expired, please sign in again' });
+    }
+
+    if (decoded.purpose !== 'two-factor') {
+      return res.status(401).json({ message: 'Invalid two-factor token' });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid two-factor token' });
+    }
+
+    if (await rejectIfLockedOut(user.email, req, res)) return;
+
+    const isValid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+    if (!isValid) {
+      await recordFailure({ email: user.email, ip: req.ip, user });
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    res.json({
+      ...(await completeLogin(user, req)),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resolve :provider or reply 404; returns null when it replied
+const findProvider = (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    res.status(404).json({ message: 'Sign-in provider not found' });
+  }
+  return provider;
+};
+
+// Create a pending authorization and return the provider URL to redirect to
+const startAuthorization = async (provider, mode, userId) => {
+  const request = await provider.createAuthorizationRequest();
+  await OAuthState.create({
+    state: request.state,
+    provider: provider.name,
+    codeVerifier: request.codeVerifier,
+    nonce: request.nonce,
+    mode,
+    user: userId
+  });
+  return { authorizationUrl: request.url };
+};
+
+// @desc    List configured external sign-in providers
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+router.get('/oauth/providers', (req, res) => {
+  res.json(Object.values(getProviders()).map(provider => ({
+    name: provider.name,
+    displayName: provider.displayName
+  })));
+});
+
+// @desc    Start signing in with an external provider
+// @route   POST /api/auth/oauth/:provider/authorize
+// @access  Public
+router.post('/oauth/:provider/authorize', async (req, res) => {
+  try {
+    const provider = findProvider(req, res);
+    if (!provider) return;
+
+    res.json(await startAuthorization(provider, 'login'));
+  } catch (error) {
+    console.error('OAuth authorize error:', error);
+    res.status(502).json({ message: 'Could not reach the sign-in provider' });
+  }
+});
+
+// @desc    Start linking an external provider to the current account
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+router.post('/oauth/:provider/link', protect, async (req, res) => {
+  try {
+    const provider = findProvider(req, res);
+    if (!provider) return;
+
+    res.json(await startAuthorization(provider, 'link', req.user._id));
+  } catch (error) {
+    console.error('OAuth link error:', error);
+    res.status(502).json({ message: 'Could not reach the sign-in provider' });
+  }
+});
+
+// @desc    Finish an external sign-in or link with the provider's code
+// @route   POST /api/auth/oauth/:provider/callback
+// @access  Public
+router.post('/oauth/:provider/callback', [
+  body('code')
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  body('state')
+    .notEmpty()
+    .withMessage('State is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const provider = findProvider(req, res);
+    if (!provider) return;
+
+    const pending = await OAuthState.consume(req.body.state, provider.name);
+    if (!pending) {
+      return res.status(400).json({ message: 'Sign-in request has expired, please try again' });
+    }
+
+    let identity;
+    try {
+      identity = await provider.handleCallback({
+        code: req.body.code,
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+      });
+    } catch (providerError) {
+      console.error('OAuth callback error:', providerError);
+      return res.status(502).json({ message: `Could not complete sign-in with ${provider.displayName}` });
+    }
+
+    const linkedUser = await User.findByIdentity(identity.provider, identity.subject);
+
+    // Linking an identity to the signed-in account
+    if (pending.mode === 'link') {
+      if (linkedUser && !linkedUser._id.equals(pending.user)) {
+        return res.status(409).json({ message: `This ${provider.displayName} account is linked to another user` });
+      }
+
+      const user = await User.findById(pending.user);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      if (!linkedUser) {
+        user.identities.push({
+          provider: identity.provider,
+          subject: identity.subject,
+          email: identity.email
+        });
+        await user.save();
+      }
+
+      return res.json({ linked: true, identities: user.identities });
+    }
+
+    let user = linkedUser;
+    let isNewUser = false;
+
+    // First sign-in with this identity creates the account
+    if (!user) {
+      if (!identity.email) {
+        return res.status(400).json({ message: `${provider.displayName} did not share an email address` });
+      }
+
+      // Never attach an identity to an existing account without its password
+      if (await User.exists({ email: identity.email })) {
+        return res.status(409).json({
+          message: `An account with this email already exists. Log in with your password and link ${provider.displayName} from your profile.`
+        });
+      }
+
+      const [firstName = '', ...lastNames] = identity.name.split(' ');
+      user = await User.create({
+        username: await User.generateUniqueUsername(identity.username || identity.email.split('@')[0]),
+        email: identity.email,
+        // Unusable random password; the user can set one through password reset
+        password: crypto.randomBytes(32).toString('hex'),
+        emailVerified: identity.emailVerified,
+        profile: {
+          firstName: firstName.slice(0, 50),
+          lastName: lastNames.join(' ').slice(0, 50)
+        },
+        identities: [{
+          provider: identity.provider,
+          subject: identity.subject,
+          email: identity.email
+        }]
+      });
+      isNewUser = true;
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // External sign-in replaces the password, not the second factor
+    if (user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorToken(user._id)
+      });
+    }
+
+    res.json({
+      ...(await completeLogin(user, req)),
+      isNewUser
+    });
+  } catch (error) {
+    console.error('OAuth sign-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Unlink an external provider from the current account
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+router.delete('/oauth/:provider', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const remaining = user.identities.filter(identity => identity.provider !== req.params.provider);
+
+    if (remaining.length === user.identities.length) {
+      return res.status(404).json({ message: 'Provider is not linked' });
+    }
+
+    user.identities = remaining;
     await user.save();
 
+    res.json({ message: 'Provider unlinked', identities: user.identities });
+  } catch (error) {
+    console.error('OAuth unlink error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const rotated = await Session.rotateRefreshToken(req.body.refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+    const { session, refreshToken } = rotated;
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke('admin');
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
     res.json({
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      profile: user.profile,
-      token: generateToken(user._id)
+      token: generateToken(user._id, session._id),
+      refreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    List the user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json(sessions.map(session => session.getPublicInfo(req.session._id)));
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Sign out everywhere (revoke all sessions, including this one)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    await Session.revokeAllForUser(req.user._id, 'signed-out-remotely');
+    res.json({ message: 'Signed out of all devices' });
+  } catch (error) {
+    console.error('Sessions revoke error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Sign out a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const isCurrent = session._id.equals(req.session._id);
+    await session.revoke(isCurrent ? 'logout' : 'signed-out-remotely');
+
+    res.json({ message: 'Session signed out', current: isCurrent });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -251,6 +722,9 @@ router.put('/change-password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device that knew the old password
+    await Session.revokeAllForUser(user._id, 'password-change', req.session._id);
+
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
     console.error('Password change error:', error);
@@ -258,11 +732,336 @@ router.put('/change-password', protect, [
   }
 });
 
-// @desc    Logout user (client-side token removal)
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const otpauthUrl = buildOtpauthUrl({ secret, accountName: user.email });
+
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', protect, [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.pendingSecret +twoFactor.lastUsedStep');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, user.twoFactor.pendingSecret)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    // Other devices signed in with just a password
+    await Session.revokeAllForUser(user._id, 'two-factor-enabled', req.session._id);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isStaffRole(user.role) && await Setting.getValue('requireAdminTwoFactor')) {
+      return res.status(400).json({ message: 'Two-factor authentication is required for staff accounts' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({ message: 'Password or authentication code is incorrect' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Verify email address with an emailed token
+// @route   POST /api/auth/verify-email
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Could not send verification email' });
+  }
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const response = { message: 'If an account exists for that email, a reset link has been sent' };
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = frontendUrl(`/reset-password?token=${resetToken}`);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your AppBazaar password',
+        text: `Hi ${user.username},\n\nUse the link below to choose a new password. It expires in one hour and can only be used once.\n\n${resetUrl}\n\nIf you didn't ask for this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      // Logged only: a different answer here would reveal that the account exists
+      console.error('Password reset email error:', mailError);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save();
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    // A link sent before the account was deactivated no longer works
+    const user = await User.findByPasswordResetToken(req.body.token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    // Update password and burn the token
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Whoever had the old password loses access, and the failed attempts
+    // against it no longer hold the account back
+    await Session.revokeAllForUser(user._id, 'password-change');
+    await forgetAccount(user.email);
+
+    res.json({ message: 'Password has been reset. Please log in.' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Logout user and revoke the current session
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await req.session.revoke('logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router;
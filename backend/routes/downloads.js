@@ -0,0 +1,65 @@
+const express = require('express');
+const App = require('../models/App');
+const Release = require('../models/Release');
+const DownloadEvent = require('../models/DownloadEvent');
+const { verifyDownloadSignature } = require('../utils/downloadLinks');
+const { getStorage } = require('../utils/storage');
+
+const router = express.Router();
+
+// Record a download event and count it on the app
+const recordDownload = async (req, release) => {
+  await DownloadEvent.create({
+    app: release.app,
+    release: release._id,
+    user: req.query.user,
+    version: release.version,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || ''
+  });
+  await App.updateOne({ _id: release.app }, { $inc: { downloads: 1 } });
+};
+
+// @desc    Download a release artifact through a signed link
+// @route   GET /api/downloads/:releaseId?user=&expires=&signature=
+// @access  Public (Signed link from GET /api/apps/:id/download)
+router.get('/:releaseId', async (req, res) => {
+  try {
+    const signatureError = verifyDownloadSignature(req.params.releaseId, req.query);
+    if (signatureError) {
+      return res.status(403).json({ message: signatureError });
+    }
+
+    const release = await Release.findOne({ _id: req.params.releaseId, status: 'published' });
+    if (!release || !release.artifact || !(release.artifact.key || release.artifact.url)) {
+      return res.status(404).json({ message: 'Download not found' });
+    }
+
+    // Externally hosted builds: count the download, then send the user on
+    if (!release.artifact.key) {
+      await recordDownload(req, release);
+      return res.redirect(release.artifact.url);
+    }
+
+    await getStorage().sendDownload(res, release.artifact.key, {
+      fileName: release.artifact.fileName || `${release.version}.zip`,
+      contentType: release.artifact.contentType || 'application/octet-stream'
+    });
+
+    // Local files are counted once the whole file has been sent; from object
+    // storage the user is redirected to a short-lived URL, so issuing it counts
+    await recordDownload(req, release);
+  } catch (error) {
+    console.error('Download error:', error);
+    // The transfer had already started, so all that's left is to cut it off
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    if (error.kind === 'ObjectId' || error.code === 'ENOENT') {
+      return res.status(404).json({ message: 'Download not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 import express from 'express'
 import { body, validationResult } from 'express-validator'
-import { protect } from '../middleware/auth.js'
+import { protect, requirePermission } from '../middleware/auth.js'
+import { hasPermission } from '../utils/permissions.js'
 import Payment from '../models/Payment.js'
 import App from '../models/App.js'
 import User from '../models/User.js'
@@ -205,7 +206,7 @@ router.get('/:id', protect, async (req, res) => {
       return res.status(404).json({ message: 'Payment not found' })
     }
 
-    if (payment.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (payment.user._id.toString() !== req.user.id && !hasPermission(req.user, 'payments:view')) {
       return res.status(403).json({ message: 'Not authorized to view this payment' })
     }
 
@@ -220,14 +221,10 @@ router.get('/:id', protect, async (req, res) => {
 })
 
 // @route   POST /api/payments/refund
-// @desc    Process refund (Admin only)
-// @access  Private (Admin)
-router.post('/refund', protect, async (req, res) => {
+// @desc    Process refund
+// @access  Private (payments:refund)
+router.post('/refund', protect, requirePermission('payments:refund'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' })
-    }
-
     const { paymentId, amount, reason } = req.body
 
     if (!paymentId || !amount || !reason) {
@@ -272,13 +269,9 @@ router.post('/refund', protect, async (req, res) => {
 
 // @route   GET /api/payments/stats/overview
 // @desc    Get payment statistics overview
-// @access  Private (Admin)
-router.get('/stats/overview', protect, async (req, res) => {
+// @access  Private (payments:view)
+router.get('/stats/overview', protect, requirePermission('payments:view'), async (req, res) => {
   try {
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Admin access required' })
-    }
-
     const totalPayments = await Payment.countDocuments({ status: 'completed' })
     const totalRevenue = await Payment.aggregate([
       { $match: { status: 'completed' } },
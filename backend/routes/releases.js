@@ -0,0 +1,301 @@
+const express = require('express');
+const path = require('path');
+const semver = require('semver');
+const { body, validationResult } = require('express-validator');
+const App = require('../models/App');
+const User = require('../models/User');
+const Release = require('../models/Release');
+const { protect, requireScope, ownerOrAdmin, hasPurchased } = require('../middleware/auth');
+const { uploadArtifact, storageKey } = require('../middleware/upload');
+const { getStorage, removeQuietly } = require('../utils/storage');
+
+// Mounted at /api/apps/:id/releases
+const router = express.Router({ mergeParams: true });
+
+// Only externally hosted artifacts can be set from the request body
+const externalArtifact = (artifact) => artifact && {
+  url: artifact.url,
+  fileName: artifact.fileName,
+  size: artifact.size
+};
+
+const sortByVersionDesc = (releases) => releases.sort((a, b) => semver.rcompare(a.version, b.version));
+
+const releaseValidation = [
+  body('changelog')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Changelog cannot exceed 5000 characters'),
+  body('minOS')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Minimum OS cannot exceed 50 characters'),
+  body('artifact.url')
+    .optional()
+    .isURL({ require_tld: false })
+    .withMessage('Artifact URL must be a valid URL'),
+  body('artifact.size')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Artifact size must be a non-negative integer')
+];
+
+// @desc    Get an app's public release history
+// @route   GET /api/apps/:id/releases
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const releases = await Release.find({ app: req.params.id, status: 'published' })
+      .select('-createdBy -artifact.key');
+
+    res.json(sortByVersionDesc(releases));
+  } catch (error) {
+    console.error('Releases fetch error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'App not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get every release of an app, including drafts and withdrawn ones
+// @route   GET /api/apps/:id/releases/all
+// @access  Private (Owner or Admin)
+router.get('/all', protect, requireScope('apps:read'), ownerOrAdmin(App), async (req, res) => {
+  try {
+    const releases = await Release.find({ app: req.params.id })
+      .populate('createdBy', 'username');
+
+    res.json(sortByVersionDesc(releases));
+  } catch (error) {
+    console.error('Releases fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Get releases published since the user bought the app
+// @route   GET /api/apps/:id/releases/whats-new
+// @access  Private (Must have purchased)
+router.get('/whats-new', protect, hasPurchased, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('purchases');
+    const purchase = user.purchases.find(p => p.app.toString() === req.params.id);
+
+    const releases = await Release.find({
+      app: req.params.id,
+      status: 'published',
+      releasedAt: { $gt: purchase.purchasedAt }
+    }).select('-createdBy -artifact.key');
+
+    res.json({
+      purchasedAt: purchase.purchasedAt,
+      releases: sortByVersionDesc(releases)
+    });
+  } catch (error) {
+    console.error('Whats new fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Create a release
+// @route   POST /api/apps/:id/releases
+// @access  Private (Owner or Admin)
+router.post('/', protect, requireScope('apps:write'), ownerOrAdmin(App), [
+  body('version')
+    .custom(value => semver.valid(value) !== null)
+    .withMessage('Version must be a semantic version like 1.2.0'),
+  body('status')
+    .optional()
+    .isIn(['draft', 'published'])
+    .withMessage('Status must be draft or published'),
+  ...releaseValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { version, changelog, minOS, artifact, status } = req.body;
+
+    const versionError = await Release.checkVersionIncreases(req.params.id, version);
+    if (versionError) {
+      return res.status(400).json({ message: versionError });
+    }
+
+    const release = new Release({
+      app: req.params.id,
+      version: semver.clean(version),
+      changelog,
+      minOS,
+      artifact: externalArtifact(artifact),
+      createdBy: req.user._id
+    });
+
+    if (status === 'published') {
+      release.publish();
+    }
+
+    await release.save();
+    await Release.syncAppVersion(req.params.id);
+
+    res.status(201).json(release);
+  } catch (error) {
+    console.error('Release creation error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This version already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Update, publish or withdraw a release
+// @route   PUT /api/apps/:id/releases/:releaseId
+// @access  Private (Owner or Admin)
+router.put('/:releaseId', protect, requireScope('apps:write'), ownerOrAdmin(App), [
+  body('version')
+    .optional()
+    .custom(value => semver.valid(value) !== null)
+    .withMessage('Version must be a semantic version like 1.2.0'),
+  body('status')
+    .optional()
+    .isIn(['draft', 'published', 'withdrawn'])
+    .withMessage('Invalid status'),
+  ...releaseValidation
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const release = await Release.findOne({ _id: req.params.releaseId, app: req.params.id });
+    if (!release) {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+
+    const { version, changelog, minOS, artifact, status } = req.body;
+
+    // Published builds are immutable apart from the changelog and withdrawal
+    if (release.status !== 'draft' && (version !== undefined || minOS !== undefined || artifact !== undefined)) {
+      return res.status(400).json({ message: 'Only draft releases can change version, minimum OS or artifact' });
+    }
+
+    if (status !== undefined && status !== release.status) {
+      const allowed = { draft: ['published'], published: ['withdrawn'], withdrawn: [] };
+      if (!allowed[release.status].includes(status)) {
+        return res.status(400).json({ message: `Cannot move a ${release.status} release to ${status}` });
+      }
+    }
+
+    if (version !== undefined && semver.clean(version) !== release.version) {
+      const versionError = await Release.checkVersionIncreases(req.params.id, version, release._id);
+      if (versionError) {
+        return res.status(400).json({ message: versionError });
+      }
+      release.version = semver.clean(version);
+    }
+
+    if (changelog !== undefined) release.changelog = changelog;
+    if (minOS !== undefined) release.minOS = minOS;
+    let replacedKey;
+    if (artifact !== undefined) {
+      replacedKey = release.artifact && release.artifact.key;
+      release.artifact = externalArtifact(artifact);
+    }
+
+    if (status === 'published' && release.status === 'draft') {
+      release.publish();
+    } else if (status === 'withdrawn') {
+      release.status = 'withdrawn';
+    }
+
+    await release.save();
+    await Release.syncAppVersion(req.params.id);
+    await removeQuietly([replacedKey]);
+
+    res.json(release);
+  } catch (error) {
+    console.error('Release update error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This version already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Upload the build artifact (APK, IPA or ZIP) for a draft release
+// @route   POST /api/apps/:id/releases/:releaseId/artifact
+// @access  Private (Owner or Admin)
+router.post('/:releaseId/artifact', protect, requireScope('apps:write'), ownerOrAdmin(App), uploadArtifact, async (req, res) => {
+  try {
+    const release = await Release.findOne({ _id: req.params.releaseId, app: req.params.id });
+    if (!release) {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+
+    if (release.status !== 'draft') {
+      return res.status(400).json({ message: 'Only draft releases can change their artifact' });
+    }
+
+    const key = storageKey('private', `apps/${req.params.id}/releases/${release._id}`, req.file);
+    await getStorage().put(key, req.file.path, { contentType: req.file.contentType });
+
+    const replacedKey = release.artifact && release.artifact.key;
+    release.artifact = {
+      key,
+      fileName: path.basename(req.file.originalname),
+      size: req.file.size,
+      contentType: req.file.contentType
+    };
+    await release.save();
+    await removeQuietly([replacedKey]);
+
+    res.status(201).json(release);
+  } catch (error) {
+    console.error('Artifact upload error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Delete a draft release
+// @route   DELETE /api/apps/:id/releases/:releaseId
+// @access  Private (Owner or Admin)
+router.delete('/:releaseId', protect, requireScope('apps:write'), ownerOrAdmin(App), async (req, res) => {
+  try {
+    const release = await Release.findOne({ _id: req.params.releaseId, app: req.params.id });
+    if (!release) {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+
+    if (release.status !== 'draft') {
+      return res.status(400).json({ message: 'Published releases can only be withdrawn' });
+    }
+
+    await release.deleteOne();
+    await removeQuietly([release.artifact && release.artifact.key]);
+    res.json({ message: 'Release deleted successfully' });
+  } catch (error) {
+    console.error('Release deletion error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Release not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
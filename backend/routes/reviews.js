@@ -0,0 +1,312 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const App = require('../models/App');
+const User = require('../models/User');
+const Review = require('../models/Review');
+const ReviewVote = require('../models/ReviewVote');
+const ReviewReport = require('../models/ReviewReport');
+const { protect, requireScope, ownerOrAdmin } = require('../middleware/auth');
+const { sendMail, frontendUrl } = require('../utils/mailer');
+
+// Mounted at /api/apps/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  'rating-high': { rating: -1, createdAt: -1 },
+  'rating-low': { rating: 1, createdAt: -1 }
+};
+
+// @desc    Get an app's reviews
+// @route   GET /api/apps/:id/reviews?sort=newest|helpful|rating-high|rating-low&page=&limit=
+// @access  Public
+router.get('/', [
+  query('sort').optional().isIn(Object.keys(SORTS)),
+  query('rating').optional().isInt({ min: 1, max: 5 }),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sort = 'newest', rating, page = 1, limit = 10 } = req.query;
+
+    const filter = { app: req.params.id, status: 'published' };
+    if (rating) {
+      filter.rating = parseInt(rating);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'username profile.firstName profile.lastName profile.avatar')
+        .populate('reply.author', 'username')
+        .sort(SORTS[sort])
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-status -openReportCount -moderation'),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      reviews,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Reviews fetch error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'App not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const replyValidation = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Reply must be between 1 and 1000 characters')
+];
+
+// Let the reviewer know the developer answered; a failed email doesn't fail the reply
+const notifyReviewer = async (review, replyBody) => {
+  try {
+    const [reviewer, app] = await Promise.all([
+      User.findById(review.user).select('username email isActive'),
+      App.findById(review.app).select('title')
+    ]);
+    if (!reviewer || !reviewer.isActive) return;
+
+    await sendMail({
+      to: reviewer.email,
+      subject: `The developer of ${app.title} replied to your review`,
+      text: `Hi ${reviewer.username},\n\nThe developer of ${app.title} replied to your review:\n\n${replyBody}\n\n${frontendUrl(`/app/${app._id}`)}`
+    });
+  } catch (error) {
+    console.error('Review reply notification error:', error);
+  }
+};
+
+// @desc    Reply to a review
+// @route   POST /api/apps/:id/reviews/:reviewId/reply
+// @access  Private (Owner or Admin)
+router.post('/:reviewId/reply', protect, requireScope('apps:write'), ownerOrAdmin(App), replyValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const now = new Date();
+    // Only set the reply if there isn't one yet, so two requests can't both win
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, app: req.params.id, status: 'published', 'reply.body': { $exists: false } },
+      { $set: { reply: { body: req.body.body, author: req.user._id, createdAt: now, updatedAt: now } } },
+      { new: true }
+    ).populate('user', 'username profile.firstName profile.lastName profile.avatar')
+      .populate('reply.author', 'username');
+
+    if (!review) {
+      const existing = await Review.exists({ _id: req.params.reviewId, app: req.params.id, status: 'published' });
+      return existing
+        ? res.status(409).json({ message: 'This review already has a reply; edit it instead' })
+        : res.status(404).json({ message: 'Review not found' });
+    }
+
+    await notifyReviewer(review, req.body.body);
+
+    res.status(201).json(review);
+  } catch (error) {
+    console.error('Review reply error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Edit the reply to a review
+// @route   PUT /api/apps/:id/reviews/:reviewId/reply
+// @access  Private (Owner or Admin)
+router.put('/:reviewId/reply', protect, requireScope('apps:write'), ownerOrAdmin(App), replyValidation, async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findOneAndUpdate(
+      { _id: req.params.reviewId, app: req.params.id, 'reply.body': { $exists: true } },
+      { $set: { 'reply.body': req.body.body, 'reply.updatedAt': new Date() } },
+      { new: true }
+    ).populate('user', 'username profile.firstName profile.lastName profile.avatar')
+      .populate('reply.author', 'username');
+
+    if (!review) {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+
+    res.json(review);
+  } catch (error) {
+    console.error('Review reply update error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Reply not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Find a published review of this app that someone other than its author is acting on.
+// Sends the error response and returns null if that isn't the case.
+const findReviewForAction = async (req, res, action) => {
+  const review = await Review.findOne({ _id: req.params.reviewId, app: req.params.id, status: 'published' });
+  if (!review) {
+    res.status(404).json({ message: 'Review not found' });
+    return null;
+  }
+  if (review.user.toString() === req.user._id.toString()) {
+    res.status(400).json({ message: `You can't ${action} your own review` });
+    return null;
+  }
+  return review;
+};
+
+const voteSummary = async (reviewId, userId) => {
+  const [review, vote] = await Promise.all([
+    Review.findById(reviewId).select('helpfulCount notHelpfulCount'),
+    ReviewVote.findOne({ review: reviewId, user: userId }).select('helpful')
+  ]);
+  return {
+    helpfulCount: review.helpfulCount,
+    notHelpfulCount: review.notHelpfulCount,
+    vote: vote ? vote.helpful : null
+  };
+};
+
+// @desc    Vote a review helpful or not helpful
+// @route   PUT /api/apps/:id/reviews/:reviewId/vote
+// @access  Private
+router.put('/:reviewId/vote', protect, [
+  body('helpful')
+    .isBoolean()
+    .withMessage('helpful must be true or false')
+    .toBoolean()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await findReviewForAction(req, res, 'vote on');
+    if (!review) return;
+
+    await ReviewVote.cast(review._id, req.user._id, req.body.helpful);
+
+    res.json(await voteSummary(review._id, req.user._id));
+  } catch (error) {
+    console.error('Review vote error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Remove your vote on a review
+// @route   DELETE /api/apps/:id/reviews/:reviewId/vote
+// @access  Private
+router.delete('/:reviewId/vote', protect, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, app: req.params.id }).select('_id');
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await ReviewVote.withdraw(review._id, req.user._id);
+
+    res.json(await voteSummary(review._id, req.user._id));
+  } catch (error) {
+    console.error('Review vote removal error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Report a review to the moderators
+// @route   POST /api/apps/:id/reviews/:reviewId/report
+// @access  Private
+router.post('/:reviewId/report', protect, [
+  body('reason')
+    .isIn(ReviewReport.REASONS)
+    .withMessage(`Reason must be one of: ${ReviewReport.REASONS.join(', ')}`),
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await findReviewForAction(req, res, 'report');
+    if (!review) return;
+
+    await ReviewReport.create({
+      review: review._id,
+      app: review.app,
+      reporter: req.user._id,
+      reason: req.body.reason,
+      details: req.body.details
+    });
+    await Review.syncOpenReportCount(review._id);
+
+    res.status(201).json({ message: 'Thanks, a moderator will look at this review' });
+  } catch (error) {
+    console.error('Review report error:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already reported this review' });
+    }
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { validationResult, query } = require('express-validator');
+const { suggest } = require('../utils/searchIndex');
+
+const router = express.Router();
+
+// @desc    Autocomplete suggestions for the search box: apps, tags and developers
+// @route   GET /api/search/suggest?q=&limit=
+// @access  Public
+router.get('/suggest', [
+  query('q').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Query must be 1-100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 10 })
+], (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const suggestions = suggest(req.query.q, parseInt(req.query.limit) || 5);
+    if (!suggestions) {
+      return res.status(503).json({ message: 'Search is starting up, please try again shortly' });
+    }
+
+    res.json(suggestions);
+  } catch (error) {
+    console.error('Search suggestions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,22 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const App = require('../models/App');
+const ApiKey = require('../models/ApiKey');
+const {
+  collectUserData,
+  streamUserDataZip,
+  getDeletionBlocker,
+  anonymiseUser
+} = require('../utils/personalData');
+const { parseDateRange, buildAnalytics, lifetimeRevenue } = require('../utils/analytics');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
 
+// How recently an account must have signed in to be deleted without a password
+const RECENT_SIGN_IN_MS = 10 * 60 * 1000;
+
 // Apply authentication middleware to all routes
 router.use(protect);
 
@@ -121,11 +133,9 @@ router.get('/app-stats', async (req, res) => {
       { $group: { _id: null, total: { $sum: '$downloads' } } }
     ]);
 
-    // Get total revenue (if any paid apps)
-    const totalRevenue = await App.aggregate([
-      { $match: { developer: req.user._id, price: { $gt: 0 } } },
-      { $group: { _id: null, total: { $sum: '$price' } } }
-    ]);
+    // Revenue from completed payments, net of refunds
+    const appIds = await App.find({ developer: req.user._id }).distinct('_id');
+    const totalRevenue = await lifetimeRevenue(appIds);
 
     res.json({
       totalApps,
@@ -133,7 +143,7 @@ router.get('/app-stats', async (req, res) => {
       pendingApps,
       rejectedApps,
       totalDownloads: totalDownloads[0]?.total || 0,
-      totalRevenue: totalRevenue[0]?.total || 0
+      totalRevenue
     });
   } catch (error) {
     console.error('App stats fetch error:', error);
@@ -141,6 +151,44 @@ router.get('/app-stats', async (req, res) => {
   }
 });
 
+// @desc    Get daily views, downloads, sales, refunds and ratings for the user's apps
+// @route   GET /api/users/analytics?from=&to=&app=
+// @access  Private
+router.get('/analytics', [
+  query('app').optional().isMongoId().withMessage('Invalid app id')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const filter = { developer: req.user._id };
+    if (req.query.app) {
+      filter._id = req.query.app;
+    }
+    const apps = await App.find(filter).select('title').sort({ title: 1 });
+
+    if (req.query.app && apps.length === 0) {
+      return res.status(404).json({ message: 'App not found' });
+    }
+
+    res.json(await buildAnalytics(apps, range));
+  } catch (error) {
+    console.error('Analytics fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @desc    Get user's activity
 // @route   GET /api/users/activity
 // @access  Private
@@ -212,4 +260,190 @@ router.get('/in-wishlist/:appId', async (req, res) => {
   }
 });
 
+// @desc    Export all of the user's personal data
+// @route   GET /api/users/me/export?format=json|zip
+// @access  Private
+router.get('/me/export', async (req, res) => {
+  try {
+    const data = await collectUserData(req.user._id);
+    const filename = `appbazaar-export-${req.user.username}-${data.exportedAt.slice(0, 10)}`;
+
+    if (req.query.format === 'zip') {
+      res.attachment(`${filename}.zip`);
+      return await streamUserDataZip(data, res);
+    }
+
+    res.attachment(`${filename}.json`);
+    res.json(data);
+  } catch (error) {
+    console.error('Data export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// @desc    Delete (anonymise) the user's own account
+// @route   DELETE /api/users/me
+// @access  Private
+router.delete('/me', [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (req.body.password) {
+      const isMatch = await user.comparePassword(req.body.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Password is incorrect' });
+      }
+    } else {
+      // Accounts created through an external sign-in have no password the
+      // user knows, so a fresh sign-in confirms the deletion instead
+      if (!user.identities.length) {
+        return res.status(400).json({ message: 'Password is required' });
+      }
+      const signedInRecently = req.session && Date.now() - req.session.createdAt < RECENT_SIGN_IN_MS;
+      if (!signedInRecently) {
+        return res.status(400).json({ message: 'Sign in again to confirm, then delete your account within 10 minutes' });
+      }
+    }
+
+    const blocker = await getDeletionBlocker(user._id);
+    if (blocker) {
+      return res.status(409).json({ message: blocker });
+    }
+
+    await anonymiseUser(user._id, 'account-deleted');
+
+    res.json({ message: 'Your account has been deleted' });
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Upgrade a buyer account to a developer account
+// @route   POST /api/users/become-developer
+// @access  Private
+router.post('/become-developer', async (req, res) => {
+  try {
+    if (req.user.role !== 'user') {
+      return res.status(400).json({ message: 'Only buyer accounts can be upgraded' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { role: 'developer' },
+      { new: true }
+    );
+
+    res.json(user.getPublicProfile());
+  } catch (error) {
+    console.error('Developer upgrade error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    List user's API keys
+// @route   GET /api/users/api-keys
+// @access  Private
+router.get('/api-keys', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json(apiKeys.map(apiKey => apiKey.getPublicInfo()));
+  } catch (error) {
+    console.error('API keys fetch error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Create an API key
+// @route   POST /api/users/api-keys
+// @access  Private
+router.post('/api-keys', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Key name is required and cannot exceed 50 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage('Invalid scope'),
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { apiKey, key } = await ApiKey.generate(req.user._id, {
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+
+    // The raw key is only ever returned here
+    res.status(201).json({ ...apiKey.getPublicInfo(), key });
+  } catch (error) {
+    console.error('API key creation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/users/api-keys/:id
+// @access  Private
+router.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('API key revoke error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
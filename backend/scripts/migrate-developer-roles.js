@@ -0,0 +1,29 @@
+// One-off migration for the developer role.
+//
+//   npm run migrate:developer-roles
+//
+// Publishing now needs the developer role, so buyer ("user") accounts that
+// already have apps in the store are promoted to developers.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const App = require('../models/App');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appbazaar');
+
+  const developerIds = await App.distinct('developer');
+  const result = await User.updateMany(
+    { _id: { $in: developerIds }, role: 'user' },
+    { role: 'developer' }
+  );
+
+  console.log(`Promoted ${result.modifiedCount} account(s) to developer`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// One-off migration for email verification.
+//
+//   npm run migrate:email-verification
+//
+// Publishing and bidding now need a verified email, and accounts default to
+// unverified. Accounts created before verification existed have no
+// emailVerified field at all; they are treated as verified so their owners
+// aren't locked out. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appbazaar');
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false }, deletedAt: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing account(s) as verified`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,66 @@
+// One-off migration for the Review collection.
+//
+//   npm run migrate:reviews
+//
+// Reviews used to be embedded in App.ratings.reviews. This copies them into
+// the Review collection, removes the embedded arrays and rebuilds every
+// reviewed app's rating count, total, average and star histogram, and its
+// releases' ratings. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const App = require('../models/App');
+const Review = require('../models/Review');
+// Registers the model recalculateAppRating updates
+require('../models/Release');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appbazaar');
+
+  // The field is no longer in the schema, so read the raw documents
+  const apps = await App.collection
+    .find({ 'ratings.reviews.0': { $exists: true } }, { projection: { 'ratings.reviews': 1 } })
+    .toArray();
+
+  let copied = 0;
+  for (const app of apps) {
+    const operations = app.ratings.reviews
+      .filter(review => review.user)
+      .map(review => ({
+        updateOne: {
+          filter: { app: app._id, user: review.user },
+          update: {
+            $setOnInsert: {
+              rating: review.rating,
+              comment: review.comment || '',
+              status: 'published',
+              helpfulCount: 0,
+              createdAt: review.createdAt || new Date(),
+              updatedAt: review.createdAt || new Date()
+            }
+          },
+          upsert: true
+        }
+      }));
+
+    if (operations.length > 0) {
+      const result = await Review.bulkWrite(operations, { timestamps: false });
+      copied += result.upsertedCount;
+    }
+
+    await App.collection.updateOne({ _id: app._id }, { $unset: { 'ratings.reviews': '' } });
+  }
+
+  const reviewedAppIds = await Review.distinct('app');
+  for (const appId of reviewedAppIds) {
+    await Review.recalculateAppRating(appId);
+  }
+
+  console.log(`Copied ${copied} review(s) from ${apps.length} app(s); recalculated ratings for ${reviewedAppIds.length} app(s)`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
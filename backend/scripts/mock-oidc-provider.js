@@ -0,0 +1,137 @@
+// Local OpenID Connect provider for trying external sign-in without a real IdP.
+//
+//   npm run mock-oidc
+//
+// then start the backend with:
+//
+//   OIDC_PROVIDERS=mock
+//   OIDC_MOCK_ISSUER=http://localhost:5055
+//   OIDC_MOCK_CLIENT_ID=appbazaar
+//   OIDC_MOCK_CLIENT_SECRET=mock-secret
+//   OIDC_MOCK_DISPLAY_NAME="Mock IdP"
+//
+// The authorize page lets you sign in as any email address.
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_OIDC_PORT || 5055;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_MOCK_CLIENT_ID || 'appbazaar';
+const CLIENT_SECRET = process.env.OIDC_MOCK_CLIENT_SECRET || 'mock-secret';
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Stable subject per email so repeat sign-ins map to the same identity
+const subjectFor = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 24);
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    response_types_supported: ['code'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  if (req.query.client_id !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+  if (req.query.code_challenge_method !== 'S256' || !req.query.code_challenge) {
+    return res.status(400).send('PKCE with S256 is required');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge', 'scope']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name] || '')}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock IdP</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:80px auto">
+  <h2>Mock IdP sign-in</h2>
+  ${hidden}
+  <p><label>Email<br><input name="email" type="email" required value="dev@example.com"></label></p>
+  <p><label>Name<br><input name="name" value="Mock Developer"></label></p>
+  <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    email: req.body.email.toLowerCase(),
+    name: req.body.name || '',
+    emailVerified: req.body.email_verified === 'on',
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    redirectUri: req.body.redirect_uri,
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(req.body.redirect_uri);
+  redirect.searchParams.set('code', code);
+  redirect.searchParams.set('state', req.body.state);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { code, code_verifier: codeVerifier, client_id: clientId, client_secret: clientSecret, redirect_uri: redirectUri } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const claims = {
+    sub: subjectFor(grant.email),
+    email: grant.email,
+    email_verified: grant.emailVerified,
+    name: grant.name
+  };
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, claims);
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: jwt.sign({ ...claims, nonce: grant.nonce }, CLIENT_SECRET, {
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    })
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const claims = accessTokens.get(token);
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+});
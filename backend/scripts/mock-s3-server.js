@@ -0,0 +1,117 @@
+// Local S3-compatible stand-in for trying the s3 storage driver without MinIO or AWS.
+//
+//   npm run mock-s3
+//
+// then start the backend with:
+//
+//   STORAGE_DRIVER=s3
+//   S3_ENDPOINT=http://localhost:5056
+//   S3_FORCE_PATH_STYLE=true
+//   S3_BUCKET=appbazaar
+//   S3_ACCESS_KEY_ID=mock-access-key
+//   S3_SECRET_ACCESS_KEY=mock-secret-key
+//
+// Requests must carry a valid Signature V4. Objects under public/ can be read
+// without a signature, like a bucket policy granting public read on that prefix.
+const express = require('express');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { buildSignature } = require('../utils/awsSignature');
+
+const PORT = process.env.MOCK_S3_PORT || 5056;
+const ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || 'mock-access-key';
+const SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || 'mock-secret-key';
+const DATA_DIR = process.env.MOCK_S3_DIR || path.join(os.tmpdir(), 'appbazaar-mock-s3');
+
+const app = express();
+
+const errorXml = (code, message) =>
+  `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`;
+
+const objectPath = (bucket, key) => {
+  const filePath = path.resolve(DATA_DIR, bucket, key);
+  if (!filePath.startsWith(path.resolve(DATA_DIR, bucket) + path.sep)) {
+    throw new Error('Invalid key');
+  }
+  return filePath;
+};
+
+// Recompute the signature from what actually arrived and compare
+const verifySignature = (req) => {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/([^/]+)\/aws4_request, SignedHeaders=([^,]+), Signature=([a-f0-9]+)$/
+    .exec(req.headers.authorization || '');
+  if (!match) return 'Missing or malformed Authorization header';
+
+  const [, accessKeyId, , region, service, signedHeaderNames, signature] = match;
+  if (accessKeyId !== ACCESS_KEY_ID) return 'Unknown access key';
+
+  const headers = Object.fromEntries(signedHeaderNames.split(';').map(name => [name, req.headers[name] || '']));
+  const expected = buildSignature({
+    method: req.method,
+    url: new URL(req.originalUrl, `http://${req.headers.host}`),
+    headers,
+    payloadHash: req.headers['x-amz-content-sha256'],
+    credentials: { secretAccessKey: SECRET_ACCESS_KEY },
+    region,
+    service,
+    timestamp: req.headers['x-amz-date']
+  });
+
+  return expected.signature === signature ? null : 'Signature does not match';
+};
+
+app.use('/:bucket', (req, res, next) => {
+  const key = decodeURIComponent(req.path.slice(1));
+  if (!key) {
+    return res.status(400).type('application/xml').send(errorXml('InvalidRequest', 'Object key required'));
+  }
+
+  const isPublicRead = req.method === 'GET' && key.startsWith('public/') && !req.headers.authorization;
+  if (!isPublicRead) {
+    const error = verifySignature(req);
+    if (error) {
+      return res.status(403).type('application/xml').send(errorXml('SignatureDoesNotMatch', error));
+    }
+  }
+
+  req.objectKey = key;
+  next();
+});
+
+app.put('/:bucket/*', async (req, res) => {
+  const filePath = objectPath(req.params.bucket, req.objectKey);
+  await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+  req.pipe(fs.createWriteStream(filePath))
+    .on('finish', async () => {
+      await fsp.writeFile(`${filePath}.meta.json`, JSON.stringify({
+        contentType: req.headers['content-type'] || 'application/octet-stream'
+      }));
+      res.status(200).end();
+    })
+    .on('error', () => res.status(500).type('application/xml').send(errorXml('InternalError', 'Write failed')));
+});
+
+app.get('/:bucket/*', async (req, res) => {
+  const filePath = objectPath(req.params.bucket, req.objectKey);
+  try {
+    const meta = JSON.parse(await fsp.readFile(`${filePath}.meta.json`, 'utf8'));
+    res.type(meta.contentType);
+    fs.createReadStream(filePath).pipe(res);
+  } catch (error) {
+    res.status(404).type('application/xml').send(errorXml('NoSuchKey', 'The specified key does not exist.'));
+  }
+});
+
+app.delete('/:bucket/*', async (req, res) => {
+  const filePath = objectPath(req.params.bucket, req.objectKey);
+  await fsp.rm(filePath, { force: true });
+  await fsp.rm(`${filePath}.meta.json`, { force: true });
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock S3 server running at http://localhost:${PORT} (data in ${DATA_DIR})`);
+});
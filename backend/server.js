@@ -11,6 +11,12 @@ const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const auctionRoutes = require('./routes/auctions');
 const paymentRoutes = require('./routes/payments');
+const downloadRoutes = require('./routes/downloads');
+const searchRoutes = require('./routes/search');
+const { getStorage } = require('./utils/storage');
+const { getTransport } = require('./utils/mailer');
+const { startViewAggregation } = require('./utils/viewTracking');
+const { startSearchIndex } = require('./utils/searchIndex');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -33,6 +39,16 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Fail at startup, not on the first email, if mail isn't configured
+getTransport();
+
+// Serve uploaded icons and screenshots when they're stored on local disk
+if (getStorage().name === 'local') {
+  app.use('/uploads/public', express.static(getStorage().publicDir, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/apps', appRoutes);
@@ -40,6 +56,8 @@ app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/auctions', auctionRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/downloads', downloadRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -67,6 +85,8 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appbazaar
 })
 .then(() => {
   console.log('Connected to MongoDB');
+  startViewAggregation();
+  startSearchIndex();
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
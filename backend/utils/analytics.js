@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const DailyStat = require('../models/DailyStat');
+const DownloadEvent = require('../models/DownloadEvent');
+const Review = require('../models/Review');
+
+// The Payment model is an ES module registered by the payment routes
+const Payment = () => mongoose.model('Payment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+const dayKey = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+const utcDay = (date) => new Date(date.getTime() - (date.getTime() % DAY_MS));
+
+// Parse ?from=&to= into whole UTC days, returning { from, to } or { error }.
+// `to` is inclusive; both default to the last 30 days.
+const parseDateRange = ({ from, to }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'from and to must be dates like 2024-01-31' };
+  }
+
+  const range = { from: utcDay(start), to: utcDay(end) };
+  if (range.from > range.to) {
+    return { error: 'from must not be after to' };
+  }
+  if ((range.to - range.from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return { error: `The date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+  return range;
+};
+
+const emptyMetrics = () => ({
+  views: 0,
+  downloads: 0,
+  purchases: 0,
+  revenue: 0,
+  refunds: 0,
+  ratingCount: 0,
+  ratingTotal: 0
+});
+
+// Derived figures, computed once the raw counts are summed
+const finishMetrics = ({ ratingTotal, ...metrics }) => ({
+  ...metrics,
+  netRevenue: metrics.revenue - metrics.refunds,
+  conversionRate: metrics.views > 0 ? metrics.purchases / metrics.views : 0,
+  averageRating: metrics.ratingCount > 0 ? Math.round((ratingTotal / metrics.ratingCount) * 100) / 100 : null
+});
+
+// Each source returns rows of { app, day, ...counts }
+const fetchViews = (appIds, from, until) => DailyStat.aggregate([
+  { $match: { targetType: 'App', target: { $in: appIds }, date: { $gte: from, $lt: until } } },
+  { $project: { _id: 0, app: '$target', day: dayKey('$date'), views: 1 } }
+]);
+
+const fetchDownloads = (appIds, from, until) => DownloadEvent.aggregate([
+  { $match: { app: { $in: appIds }, createdAt: { $gte: from, $lt: until } } },
+  { $group: { _id: { app: '$app', day: dayKey('$createdAt') }, downloads: { $sum: 1 } } },
+  { $project: { _id: 0, app: '$_id.app', day: '$_id.day', downloads: 1 } }
+]);
+
+// Sales count on the day they completed, even if later refunded
+const fetchSales = (appIds, from, until) => Payment().aggregate([
+  {
+    $match: {
+      app: { $in: appIds },
+      status: { $in: ['completed', 'refunded'] },
+      completedAt: { $gte: from, $lt: until }
+    }
+  },
+  {
+    $group: {
+      _id: { app: '$app', day: dayKey('$completedAt') },
+      purchases: { $sum: 1 },
+      revenue: { $sum: '$amount' }
+    }
+  },
+  { $project: { _id: 0, app: '$_id.app', day: '$_id.day', purchases: 1, revenue: 1 } }
+]);
+
+// Refunds count on the day they were issued
+const fetchRefunds = (appIds, from, until) => Payment().aggregate([
+  { $match: { app: { $in: appIds }, status: 'refunded', refundedAt: { $gte: from, $lt: until } } },
+  { $group: { _id: { app: '$app', day: dayKey('$refundedAt') }, refunds: { $sum: '$refundAmount' } } },
+  { $project: { _id: 0, app: '$_id.app', day: '$_id.day', refunds: 1 } }
+]);
+
+const fetchRatings = (appIds, from, until) => Review.aggregate([
+  { $match: { app: { $in: appIds }, status: 'published', createdAt: { $gte: from, $lt: until } } },
+  {
+    $group: {
+      _id: { app: '$app', day: dayKey('$createdAt') },
+      ratingCount: { $sum: 1 },
+      ratingTotal: { $sum: '$rating' }
+    }
+  },
+  { $project: { _id: 0, app: '$_id.app', day: '$_id.day', ratingCount: 1, ratingTotal: 1 } }
+]);
+
+// Day-by-day metrics for the given apps between from and to (inclusive UTC days),
+// per app and summed across them. Days without activity are filled with zeros.
+const buildAnalytics = async (apps, { from, to }) => {
+  const appIds = apps.map(app => app._id);
+  const until = new Date(to.getTime() + DAY_MS);
+
+  const days = [];
+  for (let day = from.getTime(); day < until.getTime(); day += DAY_MS) {
+    days.push(new Date(day).toISOString().slice(0, 10));
+  }
+
+  const series = {};
+  const combined = {};
+  apps.forEach(app => {
+    series[app._id] = Object.fromEntries(days.map(day => [day, emptyMetrics()]));
+  });
+  days.forEach(day => {
+    combined[day] = emptyMetrics();
+  });
+
+  const sources = await Promise.all([
+    fetchViews(appIds, from, until),
+    fetchDownloads(appIds, from, until),
+    fetchSales(appIds, from, until),
+    fetchRefunds(appIds, from, until),
+    fetchRatings(appIds, from, until)
+  ]);
+
+  sources.flat().forEach(({ app, day, ...counts }) => {
+    Object.entries(counts).forEach(([metric, value]) => {
+      series[app][day][metric] += value;
+      combined[day][metric] += value;
+    });
+  });
+
+  const summarise = (byDay) => {
+    const totals = emptyMetrics();
+    const daily = days.map(day => {
+      Object.keys(totals).forEach(metric => {
+        totals[metric] += byDay[day][metric];
+      });
+      return { date: day, ...finishMetrics(byDay[day]) };
+    });
+    return { totals: finishMetrics(totals), daily };
+  };
+
+  return {
+    from: days[0],
+    to: days[days.length - 1],
+    ...summarise(combined),
+    apps: apps.map(app => ({
+      app: { _id: app._id, title: app.title },
+      ...summarise(series[app._id])
+    }))
+  };
+};
+
+// Lifetime revenue from completed payments for a set of apps, net of refunds
+const lifetimeRevenue = async (appIds) => {
+  const [result] = await Payment().aggregate([
+    { $match: { app: { $in: appIds }, status: { $in: ['completed', 'refunded'] } } },
+    { $group: { _id: null, revenue: { $sum: '$amount' }, refunds: { $sum: '$refundAmount' } } }
+  ]);
+  return result ? result.revenue - result.refunds : 0;
+};
+
+module.exports = {
+  parseDateRange,
+  buildAnalytics,
+  lifetimeRevenue
+};
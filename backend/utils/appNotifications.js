@@ -0,0 +1,65 @@
+const User = require('../models/User');
+const { sendMail, frontendUrl } = require('./mailer');
+
+const REASON_LABELS = {
+  'incomplete-listing': 'The listing is incomplete',
+  'misleading-content': 'The listing is misleading',
+  'broken-build': 'The build does not install or run',
+  'policy-violation': 'The app violates the marketplace policies',
+  'intellectual-property': 'The app uses content without permission',
+  privacy: 'The app mishandles personal data or lacks a suitable privacy policy',
+  'inappropriate-content': 'The app contains inappropriate content',
+  other: 'Other'
+};
+
+const DECISION_TEXT = {
+  approved: (title) => `Good news: ${title} has been approved and is now live on AppBazaar.`,
+  rejected: (title) => `${title} was not approved.`,
+  pending: (title) => `${title} has been moved back into the review queue.`,
+  draft: (title) => `${title} has been moved back to draft. Make your changes and submit it again when it's ready.`
+};
+
+const reasonLines = (reasons, notes) => [
+  ...(reasons.length ? ['', 'Reasons:', ...reasons.map(reason => `- ${REASON_LABELS[reason] || reason}`)] : []),
+  ...(notes ? ['', 'Notes from the reviewer:', notes] : [])
+];
+
+// Email the app's developer; a failed email doesn't fail the decision it reports
+const emailDeveloper = async (app, subject, bodyLines) => {
+  try {
+    const developer = await User.findById(app.developer).select('username email isActive');
+    if (!developer || !developer.isActive) return;
+
+    await sendMail({
+      to: developer.email,
+      subject,
+      text: [`Hi ${developer.username},`, '', ...bodyLines, '', frontendUrl(`/app/${app._id}`)].join('\n')
+    });
+  } catch (error) {
+    console.error('App decision notification error:', error);
+  }
+};
+
+// Tell the developer about a moderation decision on their app
+const notifyAppDecision = (app, { status, reasons = [], notes }) => emailDeveloper(
+  app,
+  status === 'approved' ? `${app.title} is approved` : `Review update for ${app.title}`,
+  [DECISION_TEXT[status](app.title), ...reasonLines(reasons, notes)]
+);
+
+// Tell the developer whether their changes to a live app were accepted
+const notifyRevisionDecision = (app, { status, reasons = [], notes }) => emailDeveloper(
+  app,
+  status === 'approved' ? `Your changes to ${app.title} are live` : `Your changes to ${app.title} were not approved`,
+  [
+    status === 'approved'
+      ? `Your changes to ${app.title} have been approved and are now live.`
+      : `Your changes to ${app.title} were not approved. The listing stays as it was.`,
+    ...reasonLines(reasons, notes)
+  ]
+);
+
+module.exports = {
+  notifyAppDecision,
+  notifyRevisionDecision
+};
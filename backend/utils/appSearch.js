@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const App = require('../models/App');
+
+// Price bands for the marketplace filters, in rupees; `max` is exclusive
+const PRICE_BANDS = [
+  { value: 'free', label: 'Free', min: 0, max: 0 },
+  { value: 'under-100', label: 'Under ₹100', min: 0.01, max: 100 },
+  { value: '100-499', label: '₹100 – ₹499', min: 100, max: 500 },
+  { value: '500-999', label: '₹500 – ₹999', min: 500, max: 1000 },
+  { value: '1000-plus', label: '₹1000 and up', min: 1000, max: null }
+];
+
+// "N stars & up" rating filters
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+const MAX_TAG_FACETS = 20;
+
+const SORT_FIELDS = {
+  title: 'title',
+  price: 'price',
+  rating: 'ratings.average',
+  downloads: 'downloads',
+  createdAt: 'createdAt'
+};
+
+// Comma-separated query values, e.g. ?platform=iOS,Android
+const listParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const priceBandClause = (band) => {
+  if (band.value === 'free') return { price: 0 };
+  return { price: band.max === null ? { $gte: band.min } : { $gte: band.min, $lt: band.max } };
+};
+
+// The same band as an aggregation expression
+const priceBandExpression = (band) => {
+  if (band.value === 'free') return { $eq: ['$price', 0] };
+  const atLeast = { $gte: ['$price', band.min] };
+  return band.max === null ? atLeast : { $and: [atLeast, { $lt: ['$price', band.max] }] };
+};
+
+// Sum, as one $group accumulator, the documents matching an expression
+const countWhere = (expression) => ({ $sum: { $cond: [expression, 1, 0] } });
+
+// Turn the marketplace query string into one filter clause per facet, so each
+// facet can be counted with every filter except its own. matchedIds are the
+// search index's matches for query.search; without them the search falls back
+// to MongoDB's text index, which only matches whole words.
+const buildSearchFilters = (query, matchedIds = null) => {
+  const base = { status: 'approved' };
+  if (query.search && matchedIds) {
+    base._id = { $in: matchedIds.map(id => new mongoose.Types.ObjectId(id)) };
+  } else if (query.search) {
+    base.$text = { $search: query.search };
+  }
+
+  const clauses = {};
+
+  const categories = listParam(query.category);
+  if (categories.length) {
+    clauses.category = { category: { $in: categories } };
+  }
+
+  const bands = PRICE_BANDS.filter(band => listParam(query.priceBand).includes(band.value));
+  const price = [];
+  if (bands.length) {
+    price.push({ $or: bands.map(priceBandClause) });
+  }
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    const range = {};
+    if (query.minPrice !== undefined) range.$gte = parseFloat(query.minPrice);
+    if (query.maxPrice !== undefined) range.$lte = parseFloat(query.maxPrice);
+    price.push({ price: range });
+  }
+  if (price.length) {
+    clauses.price = price.length === 1 ? price[0] : { $and: price };
+  }
+
+  if (query.minRating) {
+    clauses.rating = { 'ratings.average': { $gte: parseFloat(query.minRating) } };
+  }
+
+  const platforms = listParam(query.platform);
+  if (platforms.length) {
+    clauses.platform = { platforms: { $in: platforms } };
+  }
+
+  // Apps must have every selected tag
+  const tags = listParam(query.tags);
+  if (tags.length) {
+    clauses.tags = { tags: { $all: tags } };
+  }
+
+  return { base, clauses };
+};
+
+// Every facet clause except `omit`, as one filter
+const clausesWithout = (clauses, omit) => {
+  const applied = Object.entries(clauses)
+    .filter(([facet]) => facet !== omit)
+    .map(([, clause]) => clause);
+  return applied.length ? { $and: applied } : {};
+};
+
+// The filter for the search results: the base search and every facet clause
+const combineFilters = ({ base, clauses }) => ({ ...base, ...clausesWithout(clauses) });
+
+// Searches default to relevance; without a search there is nothing to rank by
+const resolveSortBy = (query) => {
+  const sortBy = query.sortBy || (query.search ? 'relevance' : 'createdAt');
+  return sortBy === 'relevance' && !query.search ? 'createdAt' : sortBy;
+};
+
+const buildSort = (sortBy = 'createdAt', sortOrder = 'desc') => {
+  // Relevance from the text index, when the search index isn't available
+  if (sortBy === 'relevance') {
+    return { score: { $meta: 'textScore' }, _id: -1 };
+  }
+  return {
+    [SORT_FIELDS[sortBy]]: sortOrder === 'asc' ? 1 : -1,
+    _id: sortOrder === 'asc' ? 1 : -1
+  };
+};
+
+// One page of results in the search index's order: find which ranked apps
+// pass the filters, then load just that page
+const findRankedPage = async (filter, rankedIds, skip, limit) => {
+  const matching = await App.find(filter).select('_id').lean();
+  const passed = new Set(matching.map(app => app._id.toString()));
+  const pageIds = rankedIds.filter(id => passed.has(id)).slice(skip, skip + limit);
+
+  const apps = await App.find({ _id: { $in: pageIds } })
+    .populate('developer', 'username profile.firstName profile.lastName');
+  const byId = new Map(apps.map(app => [app._id.toString(), app]));
+  return pageIds.map(id => byId.get(id)).filter(Boolean);
+};
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Counts for every value of every facet. Each facet ignores its own filter, so
+// picking a category still shows how many apps the other categories have.
+const countFacets = async (filters) => {
+  // The base search, which may use $text, has to be the first stage
+  const matchWithout = (facet) => ({ $match: clausesWithout(filters.clauses, facet) });
+
+  const priceBandCounts = Object.fromEntries(PRICE_BANDS.map(band => [
+    band.value,
+    countWhere(priceBandExpression(band))
+  ]));
+
+  const ratingCounts = Object.fromEntries(RATING_BUCKETS.map(stars => [
+    `atLeast${stars}`,
+    countWhere({ $gte: ['$ratings.average', stars] })
+  ]));
+
+  const [result] = await App.aggregate([
+    { $match: filters.base },
+    {
+      $facet: {
+        categories: [matchWithout('category'), ...countBy('$category')],
+        priceBands: [matchWithout('price'), { $group: { _id: null, ...priceBandCounts } }],
+        ratings: [matchWithout('rating'), { $group: { _id: null, ...ratingCounts } }],
+        platforms: [matchWithout('platform'), { $unwind: '$platforms' }, ...countBy('$platforms')],
+        tags: [matchWithout('tags'), { $unwind: '$tags' }, ...countBy('$tags'), { $limit: MAX_TAG_FACETS }]
+      }
+    }
+  ]);
+
+  const toValues = (rows) => rows.map(row => ({ value: row._id, count: row.count }));
+  const bands = result.priceBands[0] || {};
+  const ratings = result.ratings[0] || {};
+
+  return {
+    categories: toValues(result.categories),
+    priceBands: PRICE_BANDS.map(band => ({
+      value: band.value,
+      label: band.label,
+      count: bands[band.value] || 0
+    })),
+    ratings: RATING_BUCKETS.map(stars => ({ value: stars, count: ratings[`atLeast${stars}`] || 0 })),
+    platforms: toValues(result.platforms),
+    tags: toValues(result.tags)
+  };
+};
+
+module.exports = {
+  PRICE_BANDS,
+  SORT_FIELDS,
+  buildSearchFilters,
+  combineFilters,
+  resolveSortBy,
+  buildSort,
+  findRankedPage,
+  countFacets
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// AWS Signature Version 4 for S3-compatible object stores (AWS S3, MinIO, R2, ...)
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// encodeURIComponent plus the characters AWS also expects escaped
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Object keys keep their slashes
+const encodePath = (path) => path.split('/').map(encode).join('/');
+
+const amzDate = (date) => date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const canonicalQuery = (searchParams) => [...searchParams.entries()]
+  .map(([name, value]) => [encode(name), encode(value)])
+  .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+  .map(([name, value]) => `${name}=${value}`)
+  .join('&');
+
+const signingKey = (secretAccessKey, dateStamp, region, service) => {
+  const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  return hmac(serviceKey, 'aws4_request');
+};
+
+const buildSignature = ({ method, url, headers, payloadHash, credentials, region, service, timestamp }) => {
+  const dateStamp = timestamp.slice(0, 8);
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+
+  const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')])
+  );
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    encodePath(decodeURIComponent(url.pathname)),
+    canonicalQuery(url.searchParams),
+    headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    timestamp,
+    scope,
+    sha256Hex(canonicalRequest)
+  ].join('\n');
+
+  const signature = hmac(
+    signingKey(credentials.secretAccessKey, dateStamp, region, service),
+    stringToSign
+  ).toString('hex');
+
+  return { scope, signedHeaders, signature };
+};
+
+// Sign a request, returning the headers to send (including Authorization)
+const signRequest = ({
+  method,
+  url,
+  headers = {},
+  payloadHash = 'UNSIGNED-PAYLOAD',
+  credentials,
+  region,
+  service = 's3',
+  date = new Date()
+}) => {
+  const timestamp = amzDate(date);
+  const signedHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': timestamp
+  };
+
+  const { scope, signedHeaders: signedHeaderNames, signature } = buildSignature({
+    method, url, headers: signedHeaders, payloadHash, credentials, region, service, timestamp
+  });
+
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+  };
+};
+
+// Build a presigned URL (query string authentication) valid for expiresIn seconds
+const presignUrl = ({
+  method = 'GET',
+  url,
+  credentials,
+  region,
+  service = 's3',
+  expiresIn,
+  params = {},
+  date = new Date()
+}) => {
+  const timestamp = amzDate(date);
+  const presigned = new URL(url);
+  Object.entries(params).forEach(([name, value]) => presigned.searchParams.set(name, value));
+  const scope = `${timestamp.slice(0, 8)}/${region}/${service}/aws4_request`;
+
+  presigned.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+  presigned.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${scope}`);
+  presigned.searchParams.set('X-Amz-Date', timestamp);
+  presigned.searchParams.set('X-Amz-Expires', String(expiresIn));
+  presigned.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+  const { signature } = buildSignature({
+    method,
+    url: presigned,
+    headers: { host: presigned.host },
+    payloadHash: 'UNSIGNED-PAYLOAD',
+    credentials,
+    region,
+    service,
+    timestamp
+  });
+
+  presigned.searchParams.set('X-Amz-Signature', signature);
+  return presigned.toString();
+};
+
+module.exports = {
+  signRequest,
+  presignUrl,
+  buildSignature,
+  amzDate,
+  sha256Hex,
+  encodePath
+};
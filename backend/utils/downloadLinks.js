@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// Short-lived download links: /api/downloads/<releaseId>?user=<id>&expires=<unix>&signature=<hmac>.
+// The HMAC binds the release, the user the link was issued to and the expiry,
+// so a link can't be reused for another build or after it expires.
+const TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS, 10) || 300;
+
+const secret = () => process.env.DOWNLOAD_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const sign = (releaseId, userId, expires) => crypto
+  .createHmac('sha256', secret())
+  .update(`${releaseId}:${userId}:${expires}`)
+  .digest('base64url');
+
+// Create a signed URL for a release, based on the URL of the current request
+const createDownloadUrl = (req, releaseId, userId) => {
+  const expires = Math.floor(Date.now() / 1000) + TTL_SECONDS;
+  const url = new URL(`/api/downloads/${releaseId}`, `${req.protocol}://${req.get('host')}`);
+  url.searchParams.set('user', userId.toString());
+  url.searchParams.set('expires', String(expires));
+  url.searchParams.set('signature', sign(releaseId, userId, expires));
+
+  return { url: url.toString(), expiresAt: new Date(expires * 1000) };
+};
+
+// Check a link's signature and expiry, returning an error message or null
+const verifyDownloadSignature = (releaseId, { user, expires, signature }) => {
+  if (!user || !expires || !signature) {
+    return 'Download link is incomplete';
+  }
+
+  const expected = Buffer.from(sign(releaseId, user, expires));
+  const actual = Buffer.from(String(signature));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'Download link is invalid';
+  }
+
+  if (Number(expires) * 1000 < Date.now()) {
+    return 'Download link has expired';
+  }
+
+  return null;
+};
+
+module.exports = {
+  createDownloadUrl,
+  verifyDownloadSignature
+};
@@ -0,0 +1,161 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage, keyFromPublicUrl } = require('./storage');
+
+// Icons are normalised to these square sizes, as PNG and WebP
+const ICON_SIZES = [512, 256, 128, 64];
+const MIN_ICON_SIZE = 512;
+
+// Screenshots keep their aspect ratio; the largest variant is capped at MAX_SCREENSHOT_SIZE
+const SCREENSHOT_WIDTHS = [400, 800];
+const MAX_SCREENSHOT_SIZE = 1920;
+const MIN_SCREENSHOT_SIZE = 320;
+
+// Thrown for images we refuse to process; the message is safe to show to the user
+class ImageValidationError extends Error {}
+
+const readImage = async (filePath) => {
+  try {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const image = sharp(filePath, { failOn: 'error' }).rotate();
+    const { width, height, orientation, hasAlpha } = await sharp(filePath).metadata();
+    // Orientations 5-8 swap width and height
+    const upright = orientation >= 5 ? { width: height, height: width } : { width, height };
+    return { image, hasAlpha, ...upright };
+  } catch (error) {
+    throw new ImageValidationError('The file could not be read as an image');
+  }
+};
+
+// Render one variant to a temp file and store it. sharp drops EXIF and other
+// metadata unless asked to keep it, so stored variants never carry it.
+const storeVariant = async (pipeline, folder, format, baseName) => {
+  const extension = format === 'jpeg' ? 'jpg' : format;
+  const tempPath = path.join(os.tmpdir(), `appbazaar-variant-${crypto.randomBytes(12).toString('hex')}.${extension}`);
+  const key = `public/${folder}/${baseName}.${extension}`;
+
+  try {
+    const options = { png: { compressionLevel: 9 }, jpeg: { quality: 85, mozjpeg: true }, webp: { quality: 82 } };
+    // The pixel data is only decoded here, so a truncated or corrupt file that
+    // passed the header check fails now
+    const { width, height } = await pipeline.toFormat(format, options[format]).toFile(tempPath)
+      .catch(() => {
+        throw new ImageValidationError('The file could not be read as an image');
+      });
+    await getStorage().put(key, tempPath, { contentType: `image/${format}` });
+    return { width, height, format, url: getStorage().publicUrl(key) };
+  } finally {
+    await fs.rm(tempPath, { force: true });
+  }
+};
+
+// Folder of an app's uploaded images; image files are only ever deleted from
+// the folder of the app being changed, whatever URLs its documents hold
+const appImageFolder = (appId) => `apps/${appId}`;
+
+// Store a set of variants, removing the ones already stored if a later one fails
+const storeVariants = async (jobs, folder) => {
+  const variants = [];
+  try {
+    for (const job of jobs) {
+      variants.push(await job());
+    }
+    return variants;
+  } catch (error) {
+    await removeVariants(variants, folder);
+    throw error;
+  }
+};
+
+// Turn an uploaded icon into square PNG and WebP variants at every icon size
+const processIcon = async (filePath, folder) => {
+  const { image, width, height } = await readImage(filePath);
+
+  if (width !== height) {
+    throw new ImageValidationError(`Icons must be square (got ${width}x${height})`);
+  }
+  if (width < MIN_ICON_SIZE) {
+    throw new ImageValidationError(`Icons must be at least ${MIN_ICON_SIZE}x${MIN_ICON_SIZE} pixels (got ${width}x${height})`);
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const variants = await storeVariants(ICON_SIZES.flatMap(size => ['png', 'webp'].map(format =>
+    () => storeVariant(image.clone().resize(size, size), folder, format, `${id}-${size}`)
+  )), folder);
+
+  return {
+    url: variants.find(v => v.format === 'png' && v.width === MIN_ICON_SIZE).url,
+    variants
+  };
+};
+
+// Turn an uploaded screenshot into a full-size image plus thumbnails, each
+// in its original family (PNG if it has transparency, JPEG otherwise) and WebP
+const processScreenshot = async (filePath, folder) => {
+  const { image, width, height, hasAlpha } = await readImage(filePath);
+
+  if (Math.min(width, height) < MIN_SCREENSHOT_SIZE) {
+    throw new ImageValidationError(
+      `Screenshots must be at least ${MIN_SCREENSHOT_SIZE} pixels on the shorter side (got ${width}x${height})`
+    );
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const baseFormat = hasAlpha ? 'png' : 'jpeg';
+  const fullWidth = Math.round(width * Math.min(1, MAX_SCREENSHOT_SIZE / Math.max(width, height)));
+  const widths = [...SCREENSHOT_WIDTHS.filter(w => w < fullWidth), fullWidth];
+
+  const variants = await storeVariants(widths.flatMap(targetWidth => [baseFormat, 'webp'].map(format =>
+    () => storeVariant(image.clone().resize({ width: targetWidth }), folder, format, `${id}-${targetWidth}`)
+  )), folder);
+
+  return {
+    url: variants.find(v => v.format === baseFormat && v.width === fullWidth).url,
+    width: fullWidth,
+    height: Math.round(height * fullWidth / width),
+    variants
+  };
+};
+
+// Delete stored variants under public/<folder>/, skipping any other URL;
+// failures are logged rather than thrown
+const removeVariants = async (variants, folder) => {
+  const prefix = `public/${folder}/`;
+  await Promise.all(variants.map(variant => {
+    const key = keyFromPublicUrl(variant.url);
+    return key && key.startsWith(prefix) &&
+      getStorage().remove(key).catch(error => console.error('Variant cleanup error:', error));
+  }));
+};
+
+// Every image URL an app, or a revision's changes, refers to
+const imageUrls = (source) => [
+  source.icon,
+  ...(source.images || []),
+  ...(source.screenshots || []),
+  ...(source.iconVariants || []).map(variant => variant.url),
+  ...(source.screenshotVariants || []).flatMap(entry => entry.variants.map(variant => variant.url))
+].filter(Boolean);
+
+// Delete the uploaded variants of `candidates` that nothing in `keep` still
+// refers to, within the given folder
+const removeUnusedVariants = async (candidates, keep, folder) => {
+  const used = new Set(keep.flatMap(imageUrls));
+  const variants = candidates.flatMap(source => [
+    ...(source.iconVariants || []),
+    ...(source.screenshotVariants || []).flatMap(entry => entry.variants)
+  ]);
+  await removeVariants(variants.filter(variant => !used.has(variant.url)), folder);
+};
+
+module.exports = {
+  ImageValidationError,
+  appImageFolder,
+  processIcon,
+  processScreenshot,
+  removeVariants,
+  removeUnusedVariants
+};
@@ -0,0 +1,147 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+
+const ACCOUNT_MAX_FAILURES = 5;
+const IP_MAX_FAILURES = 20;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000; // failures older than this are forgotten
+const BASE_LOCK_MS = 15 * 60 * 1000; // first lockout, doubled on each repeat
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Accounts are keyed by email so unknown addresses are throttled the same as real ones
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Get the current lockout for a login attempt, if any
+const getLockout = async (email, ip) => {
+  const throttles = await LoginThrottle.find({ key: { $in: [accountKey(email), ipKey(ip)] } });
+  const locked = throttles.find(throttle => throttle.isLocked);
+  const account = throttles.find(throttle => throttle.key === accountKey(email));
+
+  return {
+    retryAfter: locked ? Math.ceil((locked.lockedUntil - Date.now()) / 1000) : 0,
+    recentFailures: account ? account.failures : 0
+  };
+};
+
+// Slow down repeated guesses: nothing for the first two failures, then 0.5s doubling to 8s
+const delayAfterFailures = (failures) => {
+  if (failures < 2) return Promise.resolve();
+  return sleep(Math.min(500 * 2 ** (failures - 2), 8000));
+};
+
+// Count a failure against a key, locking it once it reaches maxFailures.
+// One atomic update, so parallel guesses can't all read the same count and
+// slip past the limit. Returns the new lock's end, or null.
+const bumpFailures = async (key, maxFailures, retried = false) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+  const lockCount = { $ifNull: ['$lockCount', 0] };
+  const lockedUntil = {
+    $add: [now, { $min: [{ $multiply: [BASE_LOCK_MS, { $pow: [2, lockCount] }] }, MAX_LOCK_MS] }]
+  };
+
+  try {
+    const throttle = await LoginThrottle.findOneAndUpdate({ key }, [
+      // Failures outside the window are forgotten before counting this one
+      {
+        $set: {
+          failures: {
+            $add: [
+              { $cond: [{ $gt: [{ $ifNull: ['$lastFailureAt', null] }, windowStart] }, '$failures', 0] },
+              1
+            ]
+          },
+          lockCount,
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + KEY_TTL_MS)
+        }
+      },
+      // Lock out at the limit, each lock twice as long as the last
+      {
+        $set: {
+          lockedUntil: { $cond: [{ $gte: ['$failures', maxFailures] }, lockedUntil, '$lockedUntil'] },
+          expiresAt: {
+            $cond: [{ $gte: ['$failures', maxFailures] }, { $add: [lockedUntil, KEY_TTL_MS] }, '$expiresAt']
+          },
+          lockCount: { $cond: [{ $gte: ['$failures', maxFailures] }, { $add: ['$lockCount', 1] }, '$lockCount'] },
+          failures: { $cond: [{ $gte: ['$failures', maxFailures] }, 0, '$failures'] }
+        }
+      }
+    ], { upsert: true, new: true });
+
+    // Only the failure that set a lock leaves the count at zero
+    return throttle.failures === 0 ? throttle.lockedUntil : null;
+  } catch (error) {
+    // Two first failures for a key both tried to insert it; the retry updates it
+    if (error.code === 11000 && !retried) {
+      return bumpFailures(key, maxFailures, true);
+    }
+    throw error;
+  }
+};
+
+// Record a failed password or second-factor check
+const recordFailure = async ({ email, ip, user = null }) => {
+  const accountLockedUntil = await bumpFailures(accountKey(email), ACCOUNT_MAX_FAILURES);
+  if (accountLockedUntil) {
+    await SecurityEvent.create({
+      type: 'account-locked',
+      user: user ? user._id : undefined,
+      email,
+      ip,
+      lockedUntil: accountLockedUntil
+    });
+  }
+
+  const ipLockedUntil = await bumpFailures(ipKey(ip), IP_MAX_FAILURES);
+  if (ipLockedUntil) {
+    await SecurityEvent.create({ type: 'ip-locked', email, ip, lockedUntil: ipLockedUntil });
+  }
+};
+
+// Clear the account's failure count after a successful login
+const recordSuccess = (email) => {
+  return LoginThrottle.updateOne(
+    { key: accountKey(email) },
+    { failures: 0, $unset: { lastFailureAt: 1 } }
+  );
+};
+
+// Get an account's lockout state for admins
+const getAccountStatus = async (email) => {
+  const throttle = await LoginThrottle.findOne({ key: accountKey(email) });
+  return {
+    isLocked: !!throttle && throttle.isLocked,
+    lockedUntil: throttle && throttle.isLocked ? throttle.lockedUntil : null,
+    failedAttempts: throttle ? throttle.failures : 0
+  };
+};
+
+// Lift an account lockout and reset its escalation
+const unlockAccount = async (user, admin) => {
+  await LoginThrottle.deleteOne({ key: accountKey(user.email) });
+  await SecurityEvent.create({
+    type: 'account-unlocked',
+    user: user._id,
+    email: user.email,
+    actor: admin._id
+  });
+};
+
+// Drop an account's failure bookkeeping, which is keyed by its email
+const forgetAccount = (email) => {
+  return LoginThrottle.deleteOne({ key: accountKey(email) });
+};
+
+module.exports = {
+  getLockout,
+  delayAfterFailures,
+  recordFailure,
+  recordSuccess,
+  getAccountStatus,
+  unlockAccount,
+  forgetAccount
+};
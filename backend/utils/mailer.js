@@ -0,0 +1,88 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Mail transports, selected with MAIL_TRANSPORT (smtp | file | console).
+// Each transport exposes send({ from, to, subject, text, html }).
+const transports = {
+  // Delivers through an SMTP server configured with SMTP_* variables
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  },
+
+  // Writes each message as a JSON file, handy for local runs and manual testing
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'appbazaar-mail');
+
+    return {
+      send: async (message) => {
+        await fs.mkdir(outboxDir, { recursive: true });
+        const filename = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+        await fs.writeFile(
+          path.join(outboxDir, filename),
+          JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+        );
+      }
+    };
+  },
+
+  // Prints messages to stdout
+  console: () => ({
+    send: async (message) => {
+      console.log(`\n--- Mail to ${message.to}: ${message.subject} ---\n${message.text}\n---\n`);
+    }
+  })
+};
+
+let transport;
+
+// The console transport is only a default outside production, where it would
+// quietly print reset and verification links to the log instead of sending them
+const getTransport = () => {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('Set MAIL_TRANSPORT (smtp, file or console) in production');
+    }
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Send an email through the configured transport
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'AppBazaar <no-reply@appbazaar.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Build a link into the frontend
+const frontendUrl = (pathname) => {
+  return `${process.env.FRONTEND_URL || 'http://localhost:5173'}${pathname}`;
+};
+
+module.exports = {
+  getTransport,
+  sendMail,
+  frontendUrl
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const jwt = require('jsonwebtoken');
+const { frontendUrl } = require('./mailer');
+
+// Sign-in providers are configured from the environment:
+//
+//   OIDC_PROVIDERS=google,github,mock
+//   OIDC_<NAME>_CLIENT_ID / OIDC_<NAME>_CLIENT_SECRET
+//   OIDC_<NAME>_ISSUER                  (OpenID Connect discovery), or
+//   OIDC_<NAME>_AUTHORIZATION_URL, _TOKEN_URL, _USERINFO_URL (plain OAuth 2.0)
+//   OIDC_<NAME>_SCOPES, OIDC_<NAME>_DISPLAY_NAME (optional)
+//
+// Well-known providers only need a client ID and secret.
+const PRESETS = {
+  google: {
+    displayName: 'Google',
+    issuer: 'https://accounts.google.com'
+  },
+  github: {
+    displayName: 'GitHub',
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    scopes: 'read:user user:email'
+  }
+};
+
+// Minimal JSON-over-HTTP client so the backend doesn't need an HTTP library
+const requestJson = (url, { method = 'GET', headers = {}, body } = {}) => {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+
+    const req = client.request(target, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        'User-Agent': 'AppBazaar',
+        ...headers
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (error) {
+          return reject(new Error(`Invalid JSON from ${target.host}`));
+        }
+        if (res.statusCode >= 400) {
+          return reject(new Error(`${target.host} responded ${res.statusCode}: ${parsed.error || data}`));
+        }
+        resolve(parsed);
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(10000, () => req.destroy(new Error(`Request to ${target.host} timed out`)));
+    if (body) req.write(body);
+    req.end();
+  });
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const readProviderConfig = (name) => {
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const env = (key) => process.env[prefix + key];
+
+  return {
+    name,
+    ...PRESETS[name],
+    ...(env('DISPLAY_NAME') && { displayName: env('DISPLAY_NAME') }),
+    ...(env('ISSUER') && { issuer: env('ISSUER') }),
+    ...(env('AUTHORIZATION_URL') && { authorizationUrl: env('AUTHORIZATION_URL') }),
+    ...(env('TOKEN_URL') && { tokenUrl: env('TOKEN_URL') }),
+    ...(env('USERINFO_URL') && { userinfoUrl: env('USERINFO_URL') }),
+    ...(env('SCOPES') && { scopes: env('SCOPES') }),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET')
+  };
+};
+
+class OidcProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.displayName = config.displayName || config.name;
+    this.config = config;
+    this.metadata = null;
+  }
+
+  get redirectUri() {
+    return frontendUrl(`/oauth/callback/${this.name}`);
+  }
+
+  get isOpenIdConnect() {
+    return !!this.config.issuer;
+  }
+
+  // Resolve endpoints, using discovery for OpenID Connect issuers
+  async getMetadata() {
+    if (this.metadata) return this.metadata;
+
+    if (this.isOpenIdConnect) {
+      const issuer = this.config.issuer.replace(/\/$/, '');
+      const discovered = await requestJson(`${issuer}/.well-known/openid-configuration`);
+      this.metadata = {
+        issuer: discovered.issuer,
+        authorizationUrl: this.config.authorizationUrl || discovered.authorization_endpoint,
+        tokenUrl: this.config.tokenUrl || discovered.token_endpoint,
+        userinfoUrl: this.config.userinfoUrl || discovered.userinfo_endpoint
+      };
+    } else {
+      this.metadata = {
+        authorizationUrl: this.config.authorizationUrl,
+        tokenUrl: this.config.tokenUrl,
+        userinfoUrl: this.config.userinfoUrl
+      };
+    }
+    return this.metadata;
+  }
+
+  // Start an authorization code + PKCE flow. The returned values must be kept
+  // server-side until the callback.
+  async createAuthorizationRequest() {
+    const { authorizationUrl } = await this.getMetadata();
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.config.scopes || 'openid email profile',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+    if (this.isOpenIdConnect) {
+      params.set('nonce', nonce);
+    }
+
+    return {
+      url: `${authorizationUrl}?${params.toString()}`,
+      state,
+      nonce,
+      codeVerifier
+    };
+  }
+
+  // Exchange the authorization code and return a normalised external identity
+  async handleCallback({ code, codeVerifier, nonce }) {
+    const metadata = await this.getMetadata();
+
+    const tokens = await requestJson(metadata.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.redirectUri,
+        client_id: this.config.clientId,
+        client_secret: this.config.clientSecret || '',
+        code_verifier: codeVerifier
+      }).toString()
+    });
+
+    if (!tokens.access_token) {
+      throw new Error('Provider did not return an access token');
+    }
+
+    let claims = {};
+
+    // The ID token came straight from the token endpoint over TLS, so its
+    // claims are checked but its signature is not (OpenID Connect Core 3.1.3.7)
+    if (this.isOpenIdConnect) {
+      if (!tokens.id_token) {
+        throw new Error('Provider did not return an ID token');
+      }
+      claims = jwt.decode(tokens.id_token) || {};
+      const audiences = [].concat(claims.aud);
+      if (claims.iss !== metadata.issuer || !audiences.includes(this.config.clientId)) {
+        throw new Error('ID token was not issued for this client');
+      }
+      if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce mismatch');
+      }
+      if (!claims.exp || claims.exp * 1000 < Date.now()) {
+        throw new Error('ID token has expired');
+      }
+    }
+
+    if (metadata.userinfoUrl) {
+      const userinfo = await requestJson(metadata.userinfoUrl, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+      if (claims.sub && userinfo.sub && userinfo.sub !== claims.sub) {
+        throw new Error('Userinfo subject does not match ID token');
+      }
+      claims = { ...userinfo, ...claims };
+    }
+
+    const subject = claims.sub || (claims.id !== undefined ? String(claims.id) : null);
+    if (!subject) {
+      throw new Error('Provider did not identify the user');
+    }
+
+    return {
+      provider: this.name,
+      subject,
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || '',
+      username: claims.preferred_username || claims.login || ''
+    };
+  }
+}
+
+let providers;
+
+// Get the configured providers keyed by name
+const getProviders = () => {
+  if (!providers) {
+    providers = {};
+    (process.env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach(name => {
+        const config = readProviderConfig(name);
+        if (!config.clientId || (!config.issuer && !(config.authorizationUrl && config.tokenUrl))) {
+          console.warn(`OIDC provider "${name}" is missing configuration and was skipped`);
+          return;
+        }
+        providers[name] = new OidcProvider(config);
+      });
+  }
+  return providers;
+};
+
+const getProvider = (name) => getProviders()[name] || null;
+
+module.exports = {
+  getProviders,
+  getProvider
+};
@@ -0,0 +1,56 @@
+// Role-based permissions.
+//
+// "user" is a buyer account and "admin" is the super-admin; the roles in between
+// each cover one staff job. Check permissions rather than role names so a role
+// can be adjusted here without touching the routes.
+const ROLE_PERMISSIONS = {
+  user: [
+    'auctions:create'
+  ],
+  developer: [
+    'auctions:create',
+    'auctions:bid',
+    'apps:publish'
+  ],
+  moderator: [
+    'auctions:create',
+    'apps:moderate',
+    'dashboard:view'
+  ],
+  'finance-admin': [
+    'auctions:create',
+    'payments:view',
+    'payments:refund',
+    'dashboard:view'
+  ],
+  admin: [
+    'auctions:create',
+    'auctions:bid',
+    'apps:publish',
+    'apps:moderate',
+    'apps:manage',
+    'dashboard:view',
+    'payments:view',
+    'payments:refund',
+    'users:manage',
+    'settings:manage'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that can act on other users' data and so fall under the staff 2FA policy
+const STAFF_ROLES = ['moderator', 'finance-admin', 'admin'];
+
+const hasPermission = (user, permission) => {
+  return Boolean(user && (ROLE_PERMISSIONS[user.role] || []).includes(permission));
+};
+
+const isStaffRole = (role) => STAFF_ROLES.includes(role);
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  isStaffRole
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const User = require('../models/User');
+const App = require('../models/App');
+const AppRevision = require('../models/AppRevision');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Review = require('../models/Review');
+const ReviewVote = require('../models/ReviewVote');
+const ReviewReport = require('../models/ReviewReport');
+const SecurityEvent = require('../models/SecurityEvent');
+const DownloadEvent = require('../models/DownloadEvent');
+const { forgetAccount } = require('./loginProtection');
+const { appImageFolder, removeUnusedVariants } = require('./imageProcessing');
+
+// Payment and Auction are ES modules, so use the models their routes registered
+const Payment = () => mongoose.model('Payment');
+const Auction = () => mongoose.model('Auction');
+
+// Collect everything stored about a user, grouped by section
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('wishlist', 'title')
+    .populate('purchases.app', 'title');
+
+  const [apps, userReviews, votes, reports, payments, auctions, biddedAuctions, sessions, apiKeys] = await Promise.all([
+    App.find({ developer: userId }),
+    Review.find({ user: userId }).populate('app', 'title'),
+    ReviewVote.find({ user: userId }),
+    ReviewReport.find({ reporter: userId }).populate('app', 'title').select('-reporter -resolvedBy'),
+    Payment().find({ user: userId }).populate('app', 'title'),
+    Auction().find({ buyer: userId }).select('-bids'),
+    Auction().find({ 'bids.developer': userId }).select('title status bids'),
+    Session.find({ user: userId }),
+    ApiKey.find({ user: userId })
+  ]);
+
+  const reviews = userReviews.map(review => ({
+    app: review.app,
+    rating: review.rating,
+    comment: review.comment,
+    createdAt: review.createdAt,
+    updatedAt: review.updatedAt
+  }));
+
+  const bids = biddedAuctions.flatMap(auction => auction.bids
+    .filter(bid => bid.developer.toString() === userId.toString())
+    .map(bid => ({
+      auction: { _id: auction._id, title: auction.title, status: auction.status },
+      amount: bid.amount,
+      proposal: bid.proposal,
+      timeline: bid.timeline,
+      status: bid.status,
+      submittedAt: bid.submittedAt
+    })));
+
+  const { wishlist, purchases, ...profile } = user.getPublicProfile();
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    wishlist,
+    purchases,
+    payments,
+    reviews,
+    reviewVotes: votes.map(vote => ({
+      review: vote.review,
+      helpful: vote.helpful,
+      createdAt: vote.createdAt,
+      updatedAt: vote.updatedAt
+    })),
+    reviewReports: reports,
+    apps,
+    auctions,
+    bids,
+    sessions: sessions.map(session => session.getPublicInfo()),
+    apiKeys: apiKeys.map(apiKey => apiKey.getPublicInfo())
+  };
+};
+
+// Stream the export as a ZIP with one JSON file per section
+const streamUserDataZip = (data, res) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', (error) => res.destroy(error));
+  archive.pipe(res);
+
+  Object.entries(data).forEach(([section, value]) => {
+    if (section !== 'exportedAt') {
+      archive.append(JSON.stringify(value, null, 2), { name: `${section}.json` });
+    }
+  });
+  archive.append(
+    `AppBazaar data export\nExported at ${data.exportedAt}\n\nEach JSON file holds one section of your account data.\n`,
+    { name: 'README.txt' }
+  );
+
+  return archive.finalize();
+};
+
+// Check for work in flight that deleting the account would strand
+const getDeletionBlocker = async (userId) => {
+  const inProgress = await Auction().exists({
+    status: 'in-progress',
+    $or: [{ buyer: userId }, { acceptedBid: userId }]
+  });
+  return inProgress ? 'Finish or cancel your in-progress auction projects before deleting your account' : null;
+};
+
+// Take the user's apps off the marketplace through the usual status change, so
+// each move is in the app's history. No email goes out: the account is gone.
+const unlistApps = async (userId) => {
+  const apps = await App.find({ developer: userId, status: { $ne: 'draft' } }).select('status');
+
+  await Promise.all(apps.map(async (app) => {
+    // A concurrent change (a moderator's decision, say) wins the race; retry from there
+    let current = app;
+    while (current && current.status !== 'draft') {
+      current = await App.changeStatus(current, 'draft', {
+        changedBy: userId,
+        notes: 'Developer account deleted',
+        set: { isFeatured: false },
+        unset: { submittedAt: 1, moderation: 1 }
+      }) || await App.findById(current._id).select('status');
+    }
+  }));
+};
+
+// Withdraw the user's changes waiting for review, removing their uploaded images
+const withdrawRevisions = async (userId) => {
+  const revisions = await AppRevision.find({ developer: userId, status: 'pending' }).populate('app');
+
+  await Promise.all(revisions.map(async (revision) => {
+    const withdrawn = await AppRevision.findOneAndUpdate(
+      { _id: revision._id, status: 'pending' },
+      { $set: { status: 'withdrawn', submittedBy: userId }, $inc: { __v: 1 } }
+    );
+    if (withdrawn && revision.app) {
+      await removeUnusedVariants([revision.changes], [revision.app], appImageFolder(revision.app._id));
+    }
+  }));
+};
+
+// Anonymise an account in place.
+// The user document is kept so payments, purchases of the user's apps, reviews
+// and accepted bids still resolve, but everything identifying is removed.
+const anonymiseUser = async (userId, reason) => {
+  const suffix = userId.toString().slice(-8);
+  const { email } = await User.findById(userId).select('email');
+
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      username: `deleted_user_${suffix}`,
+      email: `deleted-${userId}@deleted.invalid`,
+      password: crypto.randomBytes(32).toString('hex'),
+      profile: {},
+      wishlist: [],
+      purchases: [],
+      identities: [],
+      twoFactor: { enabled: false },
+      emailVerified: false,
+      isActive: false,
+      deletedAt: new Date()
+    },
+    $unset: {
+      lastLogin: '',
+      emailVerificationToken: '',
+      emailVerificationExpires: '',
+      passwordResetToken: '',
+      passwordResetExpires: ''
+    }
+  });
+
+  await Promise.all([
+    Session.revokeAllForUser(userId, reason),
+    // Keep the records, but not where or what they were made from
+    Session.updateMany({ user: userId }, { $set: { ip: '', userAgent: '' } }),
+    DownloadEvent.updateMany({ user: userId }, { $set: { ip: '', userAgent: '' } }),
+    SecurityEvent.updateMany({ $or: [{ user: userId }, { email }] }, { $unset: { email: '', ip: '' } }),
+    forgetAccount(email),
+    ApiKey.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() }),
+    // Unlist the user's apps; existing buyers keep their purchase records
+    unlistApps(userId),
+    withdrawRevisions(userId),
+    // Hand apps the user was moderating back to the queue
+    App.updateMany({ 'moderation.assignedTo': userId }, { $unset: { moderation: 1 } }),
+    // Keep ratings for the app averages but drop the written text
+    Review.updateMany({ user: userId }, { $set: { comment: '' } }),
+    // Keep votes and reports for the counts and moderation history, minus free text
+    ReviewReport.updateMany({ reporter: userId }, { $unset: { details: '' } }),
+    Auction().updateMany({ buyer: userId, status: 'open' }, { status: 'cancelled', isActive: false }),
+    Auction().updateMany(
+      { status: 'open', 'bids.developer': userId },
+      { $pull: { bids: { developer: userId, status: 'pending' } } }
+    )
+  ]);
+};
+
+module.exports = {
+  collectUserData,
+  streamUserDataZip,
+  getDeletionBlocker,
+  anonymiseUser
+};
@@ -0,0 +1,416 @@
+const App = require('../models/App');
+
+// In-process search over approved apps: autocomplete on titles, tags and
+// developer names, and typo-tolerant matching for the marketplace search.
+// Built once at startup, then kept current app by app from the App model's
+// change events, with a periodic full rebuild to catch anything else (such as
+// a developer renaming their account).
+const REBUILD_INTERVAL_MS = (parseInt(process.env.SEARCH_INDEX_REBUILD_MINUTES, 10) || 60) * 60 * 1000;
+
+// How much a matching word in each field is worth
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  developer: 1.5,
+  description: 1
+};
+const PREFIX_FACTOR = 0.7;
+const FUZZY_FACTOR = 0.5;
+
+// Words this long also match longer words they start ("calc" finds "calculator")
+const MIN_PREFIX_LENGTH = 3;
+const MAX_QUERY_WORDS = 8;
+
+const APP_FIELDS = 'title shortDescription description tags icon status downloads ratings.count developer';
+const DEVELOPER_FIELDS = 'username profile.firstName profile.lastName';
+
+// Lower-case and strip accents, so "Café" and "cafe" are the same word
+const normalize = (text = '') => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const tokenize = (text) => normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+
+// Whole tags and usernames, compared to the typed query as one phrase
+const phrase = (text) => tokenize(text).join(' ');
+
+// Typos tolerated in a word of this length
+const maxEdits = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+// Edit distance counting a swap of neighbouring letters as one edit. Gives up
+// and returns max + 1 as soon as the distance must exceed max.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      let value = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+// Pairs of neighbouring letters in a word, each once
+const bigrams = (term) => {
+  const grams = new Set();
+  for (let i = 0; i < term.length - 1; i++) {
+    grams.add(term.slice(i, i + 2));
+  }
+  return grams;
+};
+
+// Terms of one field mapped to the apps they appear in. The sorted term list
+// for prefix lookups is rebuilt lazily after terms are added or removed; terms
+// are also grouped by length and by bigram so typo lookups only compare
+// against plausible candidates.
+class TermIndex {
+  constructor() {
+    this.postings = new Map();
+    this.sorted = null;
+    this.byLength = new Map();
+    this.byBigram = new Map();
+  }
+
+  add(term, appId) {
+    let ids = this.postings.get(term);
+    if (!ids) {
+      ids = new Set();
+      this.postings.set(term, ids);
+      this.sorted = null;
+      this.group(term, (groups, key) => {
+        if (!groups.has(key)) groups.set(key, new Set());
+        groups.get(key).add(term);
+      });
+    }
+    ids.add(appId);
+  }
+
+  remove(term, appId) {
+    const ids = this.postings.get(term);
+    if (!ids) return;
+    ids.delete(appId);
+    if (ids.size === 0) {
+      this.postings.delete(term);
+      this.sorted = null;
+      this.group(term, (groups, key) => {
+        groups.get(key).delete(term);
+        if (groups.get(key).size === 0) groups.delete(key);
+      });
+    }
+  }
+
+  // Apply a change to every group the term belongs to
+  group(term, change) {
+    change(this.byLength, term.length);
+    bigrams(term).forEach(gram => change(this.byBigram, gram));
+  }
+
+  get(term) {
+    return this.postings.get(term);
+  }
+
+  withPrefix(prefix) {
+    if (!this.sorted) {
+      this.sorted = [...this.postings.keys()].sort();
+    }
+
+    // Binary search for the first term >= prefix
+    let low = 0;
+    let high = this.sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sorted[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const terms = [];
+    for (let i = low; i < this.sorted.length && this.sorted[i].startsWith(prefix); i++) {
+      terms.push(this.sorted[i]);
+    }
+    return terms;
+  }
+
+  // Terms within `edits` typos of the given one. Only terms of a close enough
+  // length are considered, and of those only ones sharing enough bigrams: one
+  // edit changes at most three neighbouring pairs (a swap does), so a match
+  // keeps all but 3 per edit of the word's distinct bigrams.
+  similar(term, edits) {
+    const fitsLength = (candidate) => Math.abs(candidate.length - term.length) <= edits;
+    const grams = bigrams(term);
+    const needed = grams.size - 3 * edits;
+
+    let candidates;
+    if (needed > 0) {
+      const shared = new Map();
+      grams.forEach(gram => {
+        (this.byBigram.get(gram) || []).forEach(candidate => {
+          if (fitsLength(candidate)) shared.set(candidate, (shared.get(candidate) || 0) + 1);
+        });
+      });
+      candidates = [...shared].filter(([, count]) => count >= needed).map(([candidate]) => candidate);
+    } else {
+      candidates = [];
+      for (let length = term.length - edits; length <= term.length + edits; length++) {
+        (this.byLength.get(length) || []).forEach(candidate => candidates.push(candidate));
+      }
+    }
+
+    return candidates.filter(candidate => candidate !== term && editDistance(term, candidate, edits) <= edits);
+  }
+}
+
+let indexes;
+let entries;
+let tagLabels;
+let developerLabels;
+let ready = false;
+
+const reset = () => {
+  indexes = {
+    title: new TermIndex(),
+    tags: new TermIndex(),
+    developer: new TermIndex(),
+    description: new TermIndex(),
+    // Whole tags and usernames, for suggestions
+    tagNames: new TermIndex(),
+    developerNames: new TermIndex()
+  };
+  entries = new Map();
+  tagLabels = new Map();
+  developerLabels = new Map();
+};
+
+reset();
+
+const addEntry = (app) => {
+  const id = app._id.toString();
+  const developer = app.developer || {};
+  const profile = developer.profile || {};
+
+  const terms = {
+    title: tokenize(app.title),
+    tags: (app.tags || []).flatMap(tokenize),
+    developer: [developer.username, profile.firstName, profile.lastName].flatMap(name => tokenize(name)),
+    description: tokenize(`${app.shortDescription || ''} ${app.description || ''}`),
+    tagNames: (app.tags || []).map(phrase).filter(Boolean),
+    developerNames: developer.username ? [phrase(developer.username)] : []
+  };
+
+  Object.entries(terms).forEach(([field, fieldTerms]) => {
+    new Set(fieldTerms).forEach(term => indexes[field].add(term, id));
+  });
+  (app.tags || []).forEach(tag => {
+    const term = phrase(tag);
+    if (term && !tagLabels.has(term)) tagLabels.set(term, tag);
+  });
+  if (developer.username) {
+    developerLabels.set(phrase(developer.username), { _id: developer._id, username: developer.username });
+  }
+
+  entries.set(id, {
+    title: app.title,
+    icon: app.icon,
+    developer: developer.username,
+    popularity: Math.log10((app.downloads || 0) + ((app.ratings && app.ratings.count) || 0) + 1) * 0.1,
+    terms
+  });
+};
+
+const removeEntry = (id) => {
+  const entry = entries.get(id);
+  if (!entry) return;
+
+  Object.entries(entry.terms).forEach(([field, fieldTerms]) => {
+    new Set(fieldTerms).forEach(term => indexes[field].remove(term, id));
+  });
+  entry.terms.tagNames.forEach(term => {
+    if (!indexes.tagNames.get(term)) tagLabels.delete(term);
+  });
+  entry.terms.developerNames.forEach(term => {
+    if (!indexes.developerNames.get(term)) developerLabels.delete(term);
+  });
+  entries.delete(id);
+};
+
+// Best score each app gets for one query word across all fields
+const matchWord = (word, allowPrefix) => {
+  const scores = new Map();
+  const credit = (ids, score) => {
+    ids.forEach(id => {
+      if ((scores.get(id) || 0) < score) scores.set(id, score);
+    });
+  };
+
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    const index = indexes[field];
+    const exact = index.get(word);
+    if (exact) credit(exact, weight);
+
+    if (allowPrefix) {
+      index.withPrefix(word)
+        .filter(term => term !== word)
+        .forEach(term => credit(index.get(term), weight * PREFIX_FACTOR));
+    }
+
+    const edits = maxEdits(word.length);
+    if (edits) {
+      index.similar(word, edits).forEach(term => credit(index.get(term), weight * FUZZY_FACTOR));
+    }
+  });
+
+  return scores;
+};
+
+// Apps matching every word of the query, best first. With prefixLast the last
+// word may be unfinished, as when typing into a search box.
+const rank = (query, { prefixLast = false } = {}) => {
+  const words = [...new Set(tokenize(query))].slice(0, MAX_QUERY_WORDS);
+  if (words.length === 0) return [];
+
+  let totals = null;
+  words.forEach((word, i) => {
+    const allowPrefix = word.length >= MIN_PREFIX_LENGTH || (prefixLast && i === words.length - 1);
+    const scores = matchWord(word, allowPrefix);
+    if (totals === null) {
+      totals = scores;
+      return;
+    }
+    const combined = new Map();
+    totals.forEach((score, id) => {
+      if (scores.has(id)) combined.set(id, score + scores.get(id));
+    });
+    totals = combined;
+  });
+
+  return [...totals]
+    .map(([id, score]) => ({ id, score: score + entries.get(id).popularity }))
+    .sort((a, b) => b.score - a.score);
+};
+
+// Ids of approved apps matching the query, best first, or null while the
+// index is still being built (callers fall back to the database text search)
+const searchAppIds = (query) => (ready ? rank(query).map(match => match.id) : null);
+
+// Autocomplete for a partly typed query: matching apps, tags and developers.
+// Returns null while the index is still being built.
+const suggest = (query, limit = 5) => {
+  if (!ready) return null;
+
+  const typed = phrase(query);
+  if (!typed) return { apps: [], tags: [], developers: [] };
+
+  const byCount = (index) => (a, b) => index.get(b).size - index.get(a).size || a.localeCompare(b);
+
+  return {
+    apps: rank(query, { prefixLast: true }).slice(0, limit).map(({ id }) => {
+      const entry = entries.get(id);
+      return { _id: id, title: entry.title, icon: entry.icon, developer: entry.developer };
+    }),
+    tags: indexes.tagNames.withPrefix(typed)
+      .sort(byCount(indexes.tagNames))
+      .slice(0, limit)
+      .map(term => ({ tag: tagLabels.get(term), count: indexes.tagNames.get(term).size })),
+    developers: indexes.developerNames.withPrefix(typed)
+      .sort(byCount(indexes.developerNames))
+      .slice(0, limit)
+      .map(term => ({ ...developerLabels.get(term), appCount: indexes.developerNames.get(term).size }))
+  };
+};
+
+// Apps changed while a full rebuild was loading, refreshed once it is done
+let changedDuringRebuild = null;
+let rebuildAgain = false;
+
+const noteChange = (appId) => {
+  if (changedDuringRebuild) {
+    changedDuringRebuild.add(appId.toString());
+  }
+};
+
+const refreshApp = async (appId) => {
+  noteChange(appId);
+  try {
+    const app = await App.findById(appId).select(APP_FIELDS).populate('developer', DEVELOPER_FIELDS).lean();
+    removeEntry(appId.toString());
+    if (app && app.status === 'approved') {
+      addEntry(app);
+    }
+  } catch (error) {
+    console.error('Search index update error:', error);
+  }
+};
+
+const removeApp = (appId) => {
+  noteChange(appId);
+  removeEntry(appId.toString());
+};
+
+const rebuildSearchIndex = async () => {
+  // One rebuild at a time; a request during one runs another afterwards
+  if (changedDuringRebuild) {
+    rebuildAgain = true;
+    return;
+  }
+
+  changedDuringRebuild = new Set();
+  try {
+    const apps = await App.find({ status: 'approved' })
+      .select(APP_FIELDS)
+      .populate('developer', DEVELOPER_FIELDS)
+      .lean();
+
+    reset();
+    apps.forEach(addEntry);
+    ready = true;
+
+    const changed = [...changedDuringRebuild];
+    changedDuringRebuild = null;
+    await Promise.all(changed.map(refreshApp));
+  } catch (error) {
+    changedDuringRebuild = null;
+    console.error('Search index rebuild error:', error);
+  }
+
+  if (rebuildAgain) {
+    rebuildAgain = false;
+    await rebuildSearchIndex();
+  }
+};
+
+// Build the index and keep it up to date
+const startSearchIndex = () => {
+  App.on('app-changed', refreshApp);
+  App.on('app-removed', removeApp);
+  App.on('apps-changed', rebuildSearchIndex);
+
+  rebuildSearchIndex();
+  const timer = setInterval(rebuildSearchIndex, REBUILD_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startSearchIndex,
+  rebuildSearchIndex,
+  searchAppIds,
+  suggest,
+  editDistance
+};
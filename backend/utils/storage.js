@@ -0,0 +1,193 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { signRequest, presignUrl, encodePath } = require('./awsSignature');
+
+// File storage drivers, selected with STORAGE_DRIVER (local | s3).
+// Keys start with "public/" for assets served to anyone (icons, screenshots)
+// or "private/" for files only handed out through the API (build artifacts).
+// Each driver exposes:
+//   put(key, filePath, { contentType })  store a file from disk
+//   remove(key)                          delete a file, ignoring missing ones
+//   publicUrl(key)                       URL of a public/ key
+//   sendDownload(res, key, { fileName, contentType })
+//                                        answer a request with the file as an attachment;
+//                                        resolves once it has been handed over (or redirected
+//                                        to) and rejects if the transfer fails part way
+const drivers = {
+  // Stores files under UPLOAD_DIR; server.js serves the public/ folder at /uploads/public
+  local: () => {
+    const rootDir = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+    const baseUrl = (process.env.UPLOADS_PUBLIC_URL ||
+      `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/$/, '');
+
+    const resolve = (key) => {
+      const filePath = path.resolve(rootDir, key);
+      if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return filePath;
+    };
+
+    return {
+      name: 'local',
+      publicDir: path.join(rootDir, 'public'),
+
+      put: async (key, filePath) => {
+        const target = resolve(key);
+        await fsp.mkdir(path.dirname(target), { recursive: true });
+        await fsp.copyFile(filePath, target);
+      },
+
+      remove: async (key) => {
+        await fsp.rm(resolve(key), { force: true });
+      },
+
+      publicUrl: (key) => `${baseUrl}/${key}`,
+
+      sendDownload: async (res, key, { fileName, contentType }) => {
+        const filePath = resolve(key);
+        const { size } = await fsp.stat(filePath);
+        res.attachment(fileName);
+        res.set({ 'Content-Type': contentType, 'Content-Length': size });
+        // Rejects, and closes the response, if the read fails or the client goes away
+        await pipeline(fs.createReadStream(filePath), res);
+      }
+    };
+  },
+
+  // Any S3-compatible object store (AWS S3, MinIO, Cloudflare R2, ...)
+  s3: () => {
+    const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`);
+    const region = process.env.S3_REGION || 'us-east-1';
+    const bucket = process.env.S3_BUCKET;
+    const pathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+    const credentials = {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    };
+
+    if (!bucket || !credentials.accessKeyId || !credentials.secretAccessKey) {
+      throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    const bucketUrl = pathStyle
+      ? `${endpoint.origin}/${bucket}`
+      : `${endpoint.protocol}//${bucket}.${endpoint.host}`;
+    const publicBaseUrl = (process.env.S3_PUBLIC_URL || bucketUrl).replace(/\/$/, '');
+
+    const objectUrl = (key) => new URL(`${bucketUrl}/${encodePath(key)}`);
+
+    // Send a signed request, streaming the body from a file when given
+    const send = (method, key, { filePath, headers = {} } = {}) => new Promise((resolve, reject) => {
+      const url = objectUrl(key);
+      const signedHeaders = signRequest({ method, url, headers, credentials, region });
+      const client = url.protocol === 'https:' ? https : http;
+
+      const req = client.request(url, { method, headers: signedHeaders }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(res);
+          } else {
+            const error = new Error(`S3 ${method} ${key} failed with ${res.statusCode}: ${Buffer.concat(chunks).toString()}`);
+            error.statusCode = res.statusCode;
+            reject(error);
+          }
+        });
+      });
+      req.on('error', reject);
+
+      if (filePath) {
+        fs.createReadStream(filePath).on('error', reject).pipe(req);
+      } else {
+        req.end();
+      }
+    });
+
+    return {
+      name: 's3',
+
+      put: async (key, filePath, { contentType } = {}) => {
+        const { size } = await fsp.stat(filePath);
+        await send('PUT', key, {
+          filePath,
+          headers: {
+            'content-length': size,
+            'content-type': contentType || 'application/octet-stream'
+          }
+        });
+      },
+
+      remove: async (key) => {
+        try {
+          await send('DELETE', key);
+        } catch (error) {
+          if (error.statusCode !== 404) throw error;
+        }
+      },
+
+      publicUrl: (key) => `${publicBaseUrl}/${key}`,
+
+      // Hand the transfer to the object store with a one-minute presigned URL
+      sendDownload: async (res, key, { fileName, contentType }) => {
+        res.redirect(presignUrl({
+          url: objectUrl(key),
+          credentials,
+          region,
+          expiresIn: 60,
+          params: {
+            'response-content-disposition': `attachment; filename="${fileName.replace(/["\\]/g, '')}"`,
+            'response-content-type': contentType
+          }
+        }));
+      }
+    };
+  }
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+// Map a public URL we issued back to its key, or null for external URLs and
+// paths that could step out of the public/ folder ("..", "." or empty segments)
+const keyFromPublicUrl = (url) => {
+  const prefix = getStorage().publicUrl('public/');
+  if (typeof url !== 'string' || !url.startsWith(prefix)) {
+    return null;
+  }
+
+  const rest = url.slice(prefix.length);
+  const segments = rest.split(/[\\/]/);
+  if (segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+    return null;
+  }
+  return `public/${rest}`;
+};
+
+// Best-effort removal of files that are no longer referenced
+const removeQuietly = async (keys) => {
+  await Promise.all(keys.filter(Boolean).map(key =>
+    getStorage().remove(key).catch(error => console.error('Storage cleanup error:', error))
+  ));
+};
+
+module.exports = {
+  getStorage,
+  keyFromPublicUrl,
+  removeQuietly
+};
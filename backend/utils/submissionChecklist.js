@@ -0,0 +1,57 @@
+const Release = require('../models/Release');
+
+// What an app needs before it can be submitted for review
+const MIN_DESCRIPTION_LENGTH = parseInt(process.env.SUBMISSION_MIN_DESCRIPTION_LENGTH, 10) || 100;
+const MIN_SCREENSHOTS = parseInt(process.env.SUBMISSION_MIN_SCREENSHOTS, 10) || 2;
+
+// Run the completeness checklist for an app. Returns { ready, items }, where
+// each item is { key, label, passed, message } and message explains a failure.
+const runSubmissionChecklist = async (app) => {
+  const hasArtifact = await Release.exists({
+    app: app._id,
+    status: { $ne: 'withdrawn' },
+    $or: [{ 'artifact.key': { $exists: true } }, { 'artifact.url': { $exists: true } }]
+  });
+
+  const descriptionLength = (app.description || '').trim().length;
+  const screenshotCount = (app.screenshots || []).length;
+
+  const items = [
+    {
+      key: 'icon',
+      label: 'App icon',
+      passed: Boolean(app.icon),
+      message: 'Upload an app icon'
+    },
+    {
+      key: 'screenshots',
+      label: `At least ${MIN_SCREENSHOTS} screenshots`,
+      passed: screenshotCount >= MIN_SCREENSHOTS,
+      message: `Upload ${MIN_SCREENSHOTS - screenshotCount} more screenshot${MIN_SCREENSHOTS - screenshotCount === 1 ? '' : 's'}`
+    },
+    {
+      key: 'description',
+      label: `Description of at least ${MIN_DESCRIPTION_LENGTH} characters`,
+      passed: descriptionLength >= MIN_DESCRIPTION_LENGTH,
+      message: `The description is ${descriptionLength} characters; it needs at least ${MIN_DESCRIPTION_LENGTH}`
+    },
+    {
+      key: 'privacyPolicy',
+      label: 'Privacy policy',
+      passed: Boolean(app.privacyPolicyUrl),
+      message: 'Add a link to your privacy policy'
+    },
+    {
+      key: 'artifact',
+      label: 'Release with a build',
+      passed: Boolean(hasArtifact),
+      message: 'Create a release and upload its build or link to it'
+    }
+  ].map(item => ({ ...item, message: item.passed ? null : item.message }));
+
+  return { ready: items.every(item => item.passed), items };
+};
+
+module.exports = {
+  runSubmissionChecklist
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const ViewEvent = require('../models/ViewEvent');
+const DailyStat = require('../models/DailyStat');
+
+// A viewer counts once per target in each dedup window
+const DEDUP_WINDOW_MS = (parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES, 10) || 30) * 60 * 1000;
+const AGGREGATION_INTERVAL_MS = (parseInt(process.env.VIEW_AGGREGATION_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Key for hashing anonymous visitors, derived from the server secret and
+// changed every UTC day, so stored hashes can't be matched to an address by
+// hashing candidate IPs, or linked from one day to the next
+let dailyKey = { day: null, key: null };
+const anonymousKey = (now = Date.now()) => {
+  const day = Math.floor(now / DAY_MS);
+  if (dailyKey.day !== day) {
+    const key = crypto.createHmac('sha256', process.env.JWT_SECRET)
+      .update(`view-tracking:${day}`)
+      .digest();
+    dailyKey = { day, key };
+  }
+  return dailyKey.key;
+};
+
+// Signed-in users are identified by account; anonymous visitors by a keyed
+// hash of IP and user agent, so raw addresses aren't stored. The token is only
+// decoded here, not checked against its session: a view isn't worth two lookups.
+const viewerKey = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    try {
+      const { id } = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+      return `user:${id}`;
+    } catch (error) {
+      // Fall through to the anonymous key
+    }
+  }
+
+  const fingerprint = crypto.createHmac('sha256', anonymousKey())
+    .update(`${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex');
+  return `anon:${fingerprint}`;
+};
+
+// Record a view without holding up the response. Repeat views inside the
+// dedup window hit the unique index and are dropped.
+const recordView = (req, targetType, target) => {
+  const now = Date.now();
+
+  ViewEvent.create({
+    targetType,
+    target,
+    viewer: viewerKey(req),
+    window: Math.floor(now / DEDUP_WINDOW_MS),
+    day: new Date(now - (now % DAY_MS))
+  }).catch((error) => {
+    if (error.code !== 11000) {
+      console.error('View tracking error:', error);
+    }
+  });
+};
+
+// Roll new view events up into DailyStat and the targets' `views` totals.
+// Events are claimed with a batch id first so several server instances can
+// run this side by side without counting an event twice; a crash after the
+// claim loses that batch rather than double counting it.
+const aggregateViews = async () => {
+  const batch = crypto.randomBytes(8).toString('hex');
+  const claimed = await ViewEvent.updateMany(
+    { aggregatedAt: null },
+    { $set: { aggregatedAt: new Date(), batch } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    return 0;
+  }
+
+  const groups = await ViewEvent.aggregate([
+    { $match: { batch } },
+    {
+      $group: {
+        _id: { targetType: '$targetType', target: '$target', day: '$day' },
+        views: { $sum: 1 }
+      }
+    }
+  ]);
+
+  await DailyStat.bulkWrite(groups.map(({ _id, views }) => ({
+    updateOne: {
+      filter: { targetType: _id.targetType, target: _id.target, date: _id.day },
+      update: { $inc: { views } },
+      upsert: true
+    }
+  })));
+
+  const totals = {};
+  groups.forEach(({ _id, views }) => {
+    const key = `${_id.targetType}:${_id.target}`;
+    totals[key] = totals[key] || { targetType: _id.targetType, target: _id.target, views: 0 };
+    totals[key].views += views;
+  });
+
+  for (const targetType of ['App', 'Auction']) {
+    const updates = Object.values(totals)
+      .filter(total => total.targetType === targetType)
+      .map(({ target, views }) => ({
+        updateOne: { filter: { _id: target }, update: { $inc: { views } } }
+      }));
+
+    if (updates.length > 0) {
+      await mongoose.model(targetType).bulkWrite(updates);
+    }
+  }
+
+  return claimed.modifiedCount;
+};
+
+// Run the aggregation on a timer, never overlapping with itself
+const startViewAggregation = () => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await aggregateViews();
+    } catch (error) {
+      console.error('View aggregation error:', error);
+    } finally {
+      running = false;
+    }
+  }, AGGREGATION_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  recordView,
+  aggregateViews,
+  startViewAggregation
+};
@@ -23,6 +23,10 @@ import EditAppPage from './pages/EditAppPage'
 import WishlistPage from './pages/WishlistPage'
 import PurchasesPage from './pages/PurchasesPage'
 import MyAppsPage from './pages/MyAppsPage'
+import ForgotPasswordPage from './pages/ForgotPasswordPage'
+import ResetPasswordPage from './pages/ResetPasswordPage'
+import VerifyEmailPage from './pages/VerifyEmailPage'
+import OAuthCallbackPage from './pages/OAuthCallbackPage'
 import NotFoundPage from './pages/NotFoundPage'
 
 // Modal Components
@@ -68,6 +72,10 @@ function App() {
           <Route path="/" element={<HomePage />} />
           <Route path="/marketplace" element={<MarketplacePage />} />
           <Route path="/app/:id" element={<AppDetailPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
+          <Route path="/oauth/callback/:provider" element={<OAuthCallbackPage />} />
           
           {/* Protected Routes */}
           <Route path="/dashboard" element={
@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react'
+import { useSelector } from 'react-redux'
+import { toast } from 'react-hot-toast'
+import { adminAPI } from '../../services/api'
+import { selectUser } from '../../store/slices/authSlice'
+import RejectionForm, { reasonLabel } from './RejectionForm'
+import { ClipboardList, Loader, Check, X, UserCheck, History } from 'lucide-react'
+
+const TABS = [
+  { value: '', label: 'All pending' },
+  { value: 'me', label: 'Assigned to me' },
+  { value: 'unassigned', label: 'Unassigned' },
+]
+
+// Status changes of one app, oldest first
+const StatusHistory = ({ appId }) => {
+  const [history, setHistory] = useState(null)
+
+  useEffect(() => {
+    adminAPI.getAppForModeration(appId)
+      .then((response) => setHistory(response.data.statusHistory))
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load history'))
+  }, [appId])
+
+  if (!history) {
+    return <Loader className="w-4 h-4 animate-spin text-gray-400" />
+  }
+
+  return (
+    <ul className="text-xs text-gray-600 space-y-1">
+      {history.map((entry) => (
+        <li key={entry._id}>
+          {new Date(entry.changedAt).toLocaleString()}: {entry.from} → <span className="font-medium">{entry.to}</span>
+          {entry.changedBy && ` by ${entry.changedBy.username}`}
+          {entry.reasons?.length > 0 && ` (${entry.reasons.map(reasonLabel).join(', ')})`}
+          {entry.notes && ` — ${entry.notes}`}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Approve the app, or reject it with at least one reason and optional notes
+const DecisionForm = ({ app, onDecided }) => {
+  const [isRejecting, setIsRejecting] = useState(false)
+
+  const decide = async (statusData, successMessage) => {
+    try {
+      await adminAPI.updateAppStatus(app._id, statusData)
+      toast.success(successMessage)
+      onDecided(app)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update the app')
+    }
+  }
+
+  if (isRejecting) {
+    return (
+      <RejectionForm
+        submitLabel="Reject app"
+        onSubmit={(rejection) => decide({ status: 'rejected', ...rejection }, 'App rejected')}
+        onCancel={() => setIsRejecting(false)}
+      />
+    )
+  }
+
+  return (
+    <div className="flex space-x-2">
+      <button
+        onClick={() => decide({ status: 'approved' }, 'App approved')}
+        className="btn btn-primary btn-sm flex items-center space-x-1"
+      >
+        <Check size={14} />
+        <span>Approve</span>
+      </button>
+      <button onClick={() => setIsRejecting(true)} className="btn btn-error btn-sm flex items-center space-x-1">
+        <X size={14} />
+        <span>Reject</span>
+      </button>
+    </div>
+  )
+}
+
+// Admin queue of apps waiting for review, oldest submission first. Moderators
+// claim an app, then approve or reject it.
+const AppModerationQueue = () => {
+  const user = useSelector(selectUser)
+  const [assigned, setAssigned] = useState('')
+  const [apps, setApps] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [historyFor, setHistoryFor] = useState(null)
+
+  useEffect(() => {
+    setIsLoading(true)
+    adminAPI.getAppQueue({ assigned: assigned || undefined })
+      .then((response) => setApps(response.data.apps))
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load the queue'))
+      .finally(() => setIsLoading(false))
+  }, [assigned])
+
+  const handleClaim = async (app) => {
+    try {
+      const response = await adminAPI.claimApp(app._id)
+      setApps((current) => current.map((a) => (a._id === app._id ? { ...a, moderation: response.data.moderation } : a)))
+      toast.success('App claimed')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to claim the app')
+    }
+  }
+
+  const handleUnassign = async (app) => {
+    try {
+      await adminAPI.assignApp(app._id, null)
+      setApps((current) => current.map((a) => (a._id === app._id ? { ...a, moderation: undefined } : a)))
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unassign the app')
+    }
+  }
+
+  const removeApp = (app) => {
+    setApps((current) => current.filter((a) => a._id !== app._id))
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <ClipboardList size={20} className="text-gray-400" />
+          <h3 className="text-lg font-semibold text-gray-900">App Review Queue</h3>
+        </div>
+        <div className="flex space-x-2">
+          {TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => setAssigned(tab.value)}
+              className={`btn btn-sm ${assigned === tab.value ? 'btn-primary' : 'btn-outline'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="card-body">
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <Loader className="w-5 h-5 animate-spin text-gray-400" />
+          </div>
+        ) : apps.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No apps waiting for review.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {apps.map((app) => {
+              const assignee = app.moderation?.assignedTo
+              const isMine = assignee?._id === user?._id
+
+              return (
+                <li key={app._id} className="py-4 space-y-2">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {app.title} · by {app.developer?.username}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Submitted {new Date(app.submittedAt).toLocaleString()}
+                        {assignee ? ` · assigned to ${assignee.username}` : ' · unassigned'}
+                      </p>
+                    </div>
+                    <div className="flex space-x-2 shrink-0 ml-4">
+                      <button
+                        onClick={() => setHistoryFor(historyFor === app._id ? null : app._id)}
+                        className="btn btn-outline btn-sm flex items-center space-x-1"
+                      >
+                        <History size={14} />
+                        <span>History</span>
+                      </button>
+                      {!assignee && (
+                        <button onClick={() => handleClaim(app)} className="btn btn-outline btn-sm flex items-center space-x-1">
+                          <UserCheck size={14} />
+                          <span>Claim</span>
+                        </button>
+                      )}
+                      {isMine && (
+                        <button onClick={() => handleUnassign(app)} className="btn btn-outline btn-sm">
+                          Unassign
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {historyFor === app._id && <StatusHistory appId={app._id} />}
+                  {isMine && <DecisionForm app={app} onDecided={removeApp} />}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AppModerationQueue
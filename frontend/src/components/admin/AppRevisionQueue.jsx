@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { adminAPI } from '../../services/api'
+import RejectionForm from './RejectionForm'
+import { GitCompare, Loader, Check, X } from 'lucide-react'
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  shortDescription: 'Short description',
+  price: 'Price',
+  images: 'Images',
+  icon: 'Icon',
+  screenshots: 'Screenshots',
+}
+
+const IMAGE_FIELDS = ['images', 'icon', 'screenshots']
+
+// An image field's value, with images that the other side doesn't have outlined
+const ImageValue = ({ value, other, highlight }) => {
+  const urls = [].concat(value || [])
+  const otherUrls = [].concat(other || [])
+
+  if (urls.length === 0) return <span className="text-xs text-gray-400">None</span>
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {urls.map((url) => (
+        <img
+          key={url}
+          src={url}
+          alt=""
+          className={`h-16 rounded border-2 ${otherUrls.includes(url) ? 'border-transparent' : highlight}`}
+        />
+      ))}
+    </div>
+  )
+}
+
+const TextValue = ({ field, value }) => {
+  if (value === undefined || value === null || value === '') {
+    return <span className="text-xs text-gray-400">Empty</span>
+  }
+  if (field === 'price') {
+    return <span>{value === 0 ? 'Free' : `₹${value}`}</span>
+  }
+  return <span className="whitespace-pre-line">{value}</span>
+}
+
+// Side-by-side live and proposed values of every changed field
+const RevisionDiff = ({ diff }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="text-xs text-gray-500 text-left">
+        <th className="py-1 pr-4 w-32">Field</th>
+        <th className="py-1 pr-4">Live</th>
+        <th className="py-1">Proposed</th>
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-gray-100">
+      {diff.map(({ field, current, proposed }) => (
+        <tr key={field} className="align-top">
+          <td className="py-2 pr-4 font-medium text-gray-700">{FIELD_LABELS[field] || field}</td>
+          {IMAGE_FIELDS.includes(field) ? (
+            <>
+              <td className="py-2 pr-4"><ImageValue value={current} other={proposed} highlight="border-error-500" /></td>
+              <td className="py-2"><ImageValue value={proposed} other={current} highlight="border-success-500" /></td>
+            </>
+          ) : (
+            <>
+              <td className="py-2 pr-4 bg-error-50 text-gray-700"><TextValue field={field} value={current} /></td>
+              <td className="py-2 bg-success-50 text-gray-900"><TextValue field={field} value={proposed} /></td>
+            </>
+          )}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+)
+
+// Admin queue of changes to approved apps. The live listing keeps its
+// approved content until a moderator approves the changes.
+const AppRevisionQueue = () => {
+  const [revisions, setRevisions] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [rejecting, setRejecting] = useState(null)
+
+  useEffect(() => {
+    adminAPI.getRevisions()
+      .then((response) => setRevisions(response.data.revisions))
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load changes'))
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  const runAction = async (revision, action, successMessage) => {
+    try {
+      await action()
+      setRevisions((current) => current.filter((r) => r._id !== revision._id))
+      setRejecting(null)
+      toast.success(successMessage)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Moderation action failed')
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center space-x-2">
+        <GitCompare size={20} className="text-gray-400" />
+        <h3 className="text-lg font-semibold text-gray-900">Changes to Live Apps</h3>
+      </div>
+      <div className="card-body">
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <Loader className="w-5 h-5 animate-spin text-gray-400" />
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">No changes waiting for review.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {revisions.map((revision) => (
+              <li key={revision._id} className="py-4 space-y-3">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {revision.app.title} · by {revision.developer?.username}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Last changed {new Date(revision.updatedAt).toLocaleString()}
+                    </p>
+                  </div>
+                  <div className="flex space-x-2 shrink-0 ml-4">
+                    <button
+                      onClick={() => runAction(revision, () => adminAPI.approveRevision(revision._id), 'Changes are live')}
+                      className="btn btn-primary btn-sm flex items-center space-x-1"
+                    >
+                      <Check size={14} />
+                      <span>Approve</span>
+                    </button>
+                    <button
+                      onClick={() => setRejecting(revision._id)}
+                      className="btn btn-error btn-sm flex items-center space-x-1"
+                    >
+                      <X size={14} />
+                      <span>Reject</span>
+                    </button>
+                  </div>
+                </div>
+
+                <RevisionDiff diff={revision.diff} />
+
+                {rejecting === revision._id && (
+                  <RejectionForm
+                    submitLabel="Reject changes"
+                    onSubmit={(rejection) => runAction(
+                      revision,
+                      () => adminAPI.rejectRevision(revision._id, rejection),
+                      'Changes rejected'
+                    )}
+                    onCancel={() => setRejecting(null)}
+                  />
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AppRevisionQueue
@@ -0,0 +1,66 @@
+import React, { useState } from 'react'
+
+export const REJECTION_REASONS = [
+  { value: 'incomplete-listing', label: 'Incomplete listing' },
+  { value: 'misleading-content', label: 'Misleading content' },
+  { value: 'broken-build', label: 'Broken build' },
+  { value: 'policy-violation', label: 'Policy violation' },
+  { value: 'intellectual-property', label: 'Intellectual property' },
+  { value: 'privacy', label: 'Privacy' },
+  { value: 'inappropriate-content', label: 'Inappropriate content' },
+  { value: 'other', label: 'Other' },
+]
+
+export const reasonLabel = (value) => REJECTION_REASONS.find((reason) => reason.value === value)?.label || value
+
+// Pick at least one rejection reason and add optional notes for the developer
+const RejectionForm = ({ submitLabel = 'Reject', onSubmit, onCancel }) => {
+  const [reasons, setReasons] = useState([])
+  const [notes, setNotes] = useState('')
+
+  const toggleReason = (value) => {
+    setReasons((current) =>
+      current.includes(value) ? current.filter((reason) => reason !== value) : [...current, value]
+    )
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSubmit({ reasons, notes: notes || undefined })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 bg-gray-50 rounded-lg space-y-2">
+      <div className="grid grid-cols-2 gap-1">
+        {REJECTION_REASONS.map((reason) => (
+          <label key={reason.value} className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={reasons.includes(reason.value)}
+              onChange={() => toggleReason(reason.value)}
+            />
+            <span>{reason.label}</span>
+          </label>
+        ))}
+      </div>
+      <textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        className="input"
+        rows={3}
+        maxLength={2000}
+        placeholder="Notes for the developer (optional)"
+      />
+      <div className="flex space-x-2">
+        <button type="submit" className="btn btn-error btn-sm" disabled={reasons.length === 0}>
+          {submitLabel}
+        </button>
+        <button type="button" onClick={onCancel} className="btn btn-outline btn-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default RejectionForm
@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { adminAPI } from '../../services/api'
+import { ShieldAlert, Loader, EyeOff, Eye, Check } from 'lucide-react'
+
+const TABS = [
+  { value: 'reported', label: 'Reported' },
+  { value: 'hidden', label: 'Hidden' },
+]
+
+// Admin queue of reported reviews, where moderators hide reviews, restore
+// hidden ones or dismiss reports they disagree with
+const ReviewModerationQueue = () => {
+  const [status, setStatus] = useState('reported')
+  const [reviews, setReviews] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    setIsLoading(true)
+    adminAPI.getReviewQueue({ status })
+      .then((response) => setReviews(response.data.reviews))
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load reviews'))
+      .finally(() => setIsLoading(false))
+  }, [status])
+
+  // Every action takes the review off the current tab
+  const runAction = async (review, action, successMessage) => {
+    try {
+      await action()
+      setReviews((current) => current.filter((r) => r._id !== review._id))
+      toast.success(successMessage)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Moderation action failed')
+    }
+  }
+
+  const handleHide = (review) => {
+    const reason = window.prompt('Reason for hiding this review (optional)')
+    if (reason === null) return
+    runAction(review, () => adminAPI.hideReview(review._id, reason || undefined), 'Review hidden')
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <ShieldAlert size={20} className="text-gray-400" />
+          <h3 className="text-lg font-semibold text-gray-900">Review Moderation</h3>
+        </div>
+        <div className="flex space-x-2">
+          {TABS.map((tab) => (
+            <button
+              key={tab.value}
+              onClick={() => setStatus(tab.value)}
+              className={`btn btn-sm ${status === tab.value ? 'btn-primary' : 'btn-outline'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="card-body">
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <Loader className="w-5 h-5 animate-spin text-gray-400" />
+          </div>
+        ) : reviews.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-4">Nothing to review.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {reviews.map((review) => (
+              <li key={review._id} className="py-4 space-y-2">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {review.app?.title} · {review.rating}★ by {review.user?.username}
+                    </p>
+                    <p className="text-sm text-gray-700 whitespace-pre-line">{review.comment || <em>No comment</em>}</p>
+                  </div>
+                  <div className="flex space-x-2 shrink-0 ml-4">
+                    {review.status === 'hidden' ? (
+                      <button
+                        onClick={() => runAction(review, () => adminAPI.restoreReview(review._id), 'Review restored')}
+                        className="btn btn-outline btn-sm flex items-center space-x-1"
+                      >
+                        <Eye size={14} />
+                        <span>Restore</span>
+                      </button>
+                    ) : (
+                      <>
+                        <button onClick={() => handleHide(review)} className="btn btn-error btn-sm flex items-center space-x-1">
+                          <EyeOff size={14} />
+                          <span>Hide</span>
+                        </button>
+                        <button
+                          onClick={() => runAction(review, () => adminAPI.dismissReviewReports(review._id), 'Reports dismissed')}
+                          className="btn btn-outline btn-sm flex items-center space-x-1"
+                        >
+                          <Check size={14} />
+                          <span>Dismiss</span>
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                {review.status === 'hidden' && review.moderation && (
+                  <p className="text-xs text-gray-500">
+                    Hidden by {review.moderation.hiddenBy?.username} on{' '}
+                    {new Date(review.moderation.hiddenAt).toLocaleDateString()}
+                    {review.moderation.reason && `: ${review.moderation.reason}`}
+                  </p>
+                )}
+
+                {review.reports.length > 0 && (
+                  <ul className="text-xs text-gray-600 space-y-1">
+                    {review.reports.map((report) => (
+                      <li key={report._id}>
+                        <span className="font-medium">{report.reason}</span> from {report.reporter?.username}
+                        {report.details && ` — ${report.details}`}
+                        {report.status === 'resolved' && ` (${report.resolution})`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ReviewModerationQueue
@@ -0,0 +1,41 @@
+import React, { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { Download, Loader } from 'lucide-react'
+import { appAPI } from '../../services/api'
+
+const formatSize = (bytes) => {
+  if (!bytes) return null
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+// Downloads the latest release. The link is fetched on click because it is
+// signed for the current user and only valid for a few minutes.
+const DownloadButton = ({ appId, version, size, className = 'btn btn-primary' }) => {
+  const [isLoading, setIsLoading] = useState(false)
+
+  const handleDownload = async () => {
+    setIsLoading(true)
+    try {
+      const response = await appAPI.getDownloadLink(appId)
+      window.location.assign(response.data.url)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start download')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const sizeLabel = formatSize(size)
+
+  return (
+    <button onClick={handleDownload} disabled={isLoading} className={`${className} flex items-center space-x-2`}>
+      {isLoading ? <Loader size={18} className="animate-spin" /> : <Download size={18} />}
+      <span>
+        Download{version ? ` v${version}` : ''}{sizeLabel ? ` (${sizeLabel})` : ''}
+      </span>
+    </button>
+  )
+}
+
+export default DownloadButton
@@ -0,0 +1,142 @@
+import React from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { fetchApps, setFilters, clearFilters, selectFilters, selectFacets } from '../../store/slices/appSlice'
+import { Star } from 'lucide-react'
+
+// Filters that take several comma-separated values
+const toggleListValue = (list, value) => {
+  const values = list ? list.split(',') : []
+  const next = values.includes(value) ? values.filter((v) => v !== value) : [...values, value]
+  return next.join(',')
+}
+
+const FacetOption = ({ checked, onChange, label, count }) => (
+  <label className={`flex items-center justify-between text-sm ${count === 0 && !checked ? 'text-gray-400' : 'text-gray-700'}`}>
+    <span className="flex items-center space-x-2">
+      <input type="checkbox" checked={checked} onChange={onChange} disabled={count === 0 && !checked} />
+      <span>{label}</span>
+    </span>
+    <span className="text-xs text-gray-500">{count}</span>
+  </label>
+)
+
+const FacetGroup = ({ title, children }) => (
+  <div className="space-y-2">
+    <h4 className="text-sm font-semibold text-gray-900">{title}</h4>
+    {children}
+  </div>
+)
+
+// Sidebar filters for the marketplace, each value showing how many apps it
+// would match. Changing a filter runs the search again from page one.
+const MarketplaceFilters = () => {
+  const dispatch = useDispatch()
+  const filters = useSelector(selectFilters)
+  const facets = useSelector(selectFacets)
+
+  const applyFilters = (changes) => {
+    dispatch(setFilters(changes))
+    dispatch(fetchApps({ ...filters, ...changes, page: 1 }))
+  }
+
+  const isSelected = (key, value) => (filters[key] ? filters[key].split(',').includes(value) : false)
+
+  const handleClear = () => {
+    dispatch(clearFilters())
+    dispatch(fetchApps({ search: filters.search, page: 1 }))
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Filters</h3>
+        <button onClick={handleClear} className="text-sm text-primary-600 hover:text-primary-700">
+          Clear all
+        </button>
+      </div>
+      <div className="card-body space-y-6">
+        <FacetGroup title="Category">
+          {facets.categories.map(({ value, count }) => (
+            <FacetOption
+              key={value}
+              label={value}
+              count={count}
+              checked={isSelected('category', value)}
+              onChange={() => applyFilters({ category: toggleListValue(filters.category, value) })}
+            />
+          ))}
+        </FacetGroup>
+
+        <FacetGroup title="Price">
+          {facets.priceBands.map(({ value, label, count }) => (
+            <FacetOption
+              key={value}
+              label={label}
+              count={count}
+              checked={isSelected('priceBand', value)}
+              onChange={() => applyFilters({ priceBand: toggleListValue(filters.priceBand, value) })}
+            />
+          ))}
+        </FacetGroup>
+
+        <FacetGroup title="Rating">
+          {facets.ratings.map(({ value, count }) => (
+            <label key={value} className="flex items-center justify-between text-sm text-gray-700">
+              <span className="flex items-center space-x-2">
+                <input
+                  type="radio"
+                  name="minRating"
+                  checked={String(filters.minRating) === String(value)}
+                  onChange={() => applyFilters({ minRating: String(value) })}
+                />
+                <span className="flex items-center">
+                  {value}
+                  <Star size={12} className="text-warning-500 fill-current mx-1" />
+                  & up
+                </span>
+              </span>
+              <span className="text-xs text-gray-500">{count}</span>
+            </label>
+          ))}
+          {filters.minRating && (
+            <button onClick={() => applyFilters({ minRating: '' })} className="text-xs text-primary-600">
+              Any rating
+            </button>
+          )}
+        </FacetGroup>
+
+        {facets.platforms.length > 0 && (
+          <FacetGroup title="Platform">
+            {facets.platforms.map(({ value, count }) => (
+              <FacetOption
+                key={value}
+                label={value}
+                count={count}
+                checked={isSelected('platform', value)}
+                onChange={() => applyFilters({ platform: toggleListValue(filters.platform, value) })}
+              />
+            ))}
+          </FacetGroup>
+        )}
+
+        {facets.tags.length > 0 && (
+          <FacetGroup title="Tags">
+            <div className="flex flex-wrap gap-2">
+              {facets.tags.map(({ value, count }) => (
+                <button
+                  key={value}
+                  onClick={() => applyFilters({ tags: toggleListValue(filters.tags, value) })}
+                  className={`btn btn-sm ${isSelected('tags', value) ? 'btn-primary' : 'btn-outline'}`}
+                >
+                  {value} <span className="ml-1 text-xs opacity-75">{count}</span>
+                </button>
+              ))}
+            </div>
+          </FacetGroup>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MarketplaceFilters
@@ -0,0 +1,54 @@
+import React from 'react'
+import { Star } from 'lucide-react'
+
+// Average rating with a 1–5 star distribution and the rating of the current
+// version, for the app detail page. Expects the app from GET /api/apps/:id.
+const RatingSummary = ({ app }) => {
+  const { average = 0, count = 0, histogram = {} } = app.ratings || {}
+  const current = app.currentVersionRatings
+
+  return (
+    <div className="flex flex-col sm:flex-row gap-6">
+      <div className="text-center sm:w-32">
+        <p className="text-4xl font-bold text-gray-900">{count > 0 ? average.toFixed(1) : '–'}</p>
+        <div className="flex justify-center my-1">
+          {[1, 2, 3, 4, 5].map((value) => (
+            <Star
+              key={value}
+              size={16}
+              className={value <= Math.round(average) ? 'text-warning-500 fill-current' : 'text-gray-300'}
+            />
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">{count} rating{count === 1 ? '' : 's'}</p>
+      </div>
+
+      <div className="flex-1 space-y-1">
+        {[5, 4, 3, 2, 1].map((stars) => {
+          const starCount = histogram[stars] || 0
+          const percent = count > 0 ? Math.round((starCount / count) * 100) : 0
+          return (
+            <div key={stars} className="flex items-center space-x-2 text-xs text-gray-600">
+              <span className="w-3 text-right">{stars}</span>
+              <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-full bg-warning-500 rounded-full" style={{ width: `${percent}%` }} />
+              </div>
+              <span className="w-10 text-right">{starCount}</span>
+            </div>
+          )
+        })}
+
+        {current && (
+          <p className="text-xs text-gray-500 pt-2">
+            Version {current.version}:{' '}
+            {current.count > 0
+              ? `${current.average.toFixed(1)} ★ from ${current.count} rating${current.count === 1 ? '' : 's'}`
+              : 'no ratings yet'}
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RatingSummary
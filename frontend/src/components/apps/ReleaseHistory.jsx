@@ -0,0 +1,87 @@
+import React, { useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import {
+  fetchReleases,
+  fetchWhatsNew,
+  selectReleases,
+  selectWhatsNew,
+  selectIsReleasesLoading
+} from '../../store/slices/appSlice'
+import { selectIsAuthenticated } from '../../store/slices/authSlice'
+import { Sparkles, History, Loader } from 'lucide-react'
+
+// Release history for the app detail page. Buyers also get a "what's new"
+// summary of the releases published since they bought the app.
+const ReleaseHistory = ({ appId, hasPurchased = false }) => {
+  const dispatch = useDispatch()
+  const releases = useSelector(selectReleases)
+  const whatsNew = useSelector(selectWhatsNew)
+  const isLoading = useSelector(selectIsReleasesLoading)
+  const isAuthenticated = useSelector(selectIsAuthenticated)
+
+  useEffect(() => {
+    dispatch(fetchReleases(appId))
+  }, [dispatch, appId])
+
+  useEffect(() => {
+    if (isAuthenticated && hasPurchased) {
+      dispatch(fetchWhatsNew(appId))
+    }
+  }, [dispatch, appId, isAuthenticated, hasPurchased])
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader className="w-5 h-5 animate-spin text-gray-400" />
+      </div>
+    )
+  }
+
+  if (releases.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="space-y-4">
+      {whatsNew.length > 0 && (
+        <div className="p-4 bg-primary-50 border border-primary-200 rounded-lg">
+          <div className="flex items-center space-x-2 mb-2">
+            <Sparkles size={18} className="text-primary-600" />
+            <h3 className="font-semibold text-gray-900">What's new since you bought this app</h3>
+          </div>
+          {whatsNew.map((release) => (
+            <div key={release._id} className="mt-2">
+              <p className="text-sm font-medium text-gray-900">Version {release.version}</p>
+              <p className="text-sm text-gray-700 whitespace-pre-line">{release.changelog}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header flex items-center space-x-2">
+          <History size={20} className="text-gray-400" />
+          <h3 className="text-lg font-semibold text-gray-900">Version History</h3>
+        </div>
+        <ul className="card-body divide-y divide-gray-100">
+          {releases.map((release) => (
+            <li key={release._id} className="py-3">
+              <div className="flex items-center justify-between">
+                <p className="text-sm font-medium text-gray-900">{release.version}</p>
+                <p className="text-xs text-gray-500">
+                  {new Date(release.releasedAt).toLocaleDateString()}
+                  {release.minOS && ` · Requires ${release.minOS}`}
+                </p>
+              </div>
+              {release.changelog && (
+                <p className="mt-1 text-sm text-gray-600 whitespace-pre-line">{release.changelog}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
+
+export default ReleaseHistory
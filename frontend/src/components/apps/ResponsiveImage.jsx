@@ -0,0 +1,33 @@
+import React from 'react'
+
+const toSrcSet = (variants) =>
+  variants.map((variant) => `${variant.url} ${variant.width}w`).join(', ')
+
+// Picture element for an uploaded icon or screenshot. Uses the WebP variants
+// where the browser supports them and the PNG/JPEG ones otherwise, letting
+// `sizes` pick the resolution. Falls back to a plain <img> for external URLs.
+const ResponsiveImage = ({ src, variants = [], sizes, alt, className, ...props }) => {
+  const webp = variants.filter((variant) => variant.format === 'webp')
+  const fallback = variants.filter((variant) => variant.format !== 'webp')
+
+  if (variants.length === 0) {
+    return <img src={src} alt={alt} className={className} loading="lazy" {...props} />
+  }
+
+  return (
+    <picture>
+      {webp.length > 0 && <source type="image/webp" srcSet={toSrcSet(webp)} sizes={sizes} />}
+      <img
+        src={src}
+        srcSet={fallback.length > 0 ? toSrcSet(fallback) : undefined}
+        sizes={sizes}
+        alt={alt}
+        className={className}
+        loading="lazy"
+        {...props}
+      />
+    </picture>
+  )
+}
+
+export default ResponsiveImage
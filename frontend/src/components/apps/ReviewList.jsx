@@ -0,0 +1,274 @@
+import React, { useEffect, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { toast } from 'react-hot-toast'
+import {
+  fetchReviews,
+  saveReviewReply,
+  voteOnReview,
+  selectReviews,
+  selectReviewsPagination,
+  selectIsReviewsLoading
+} from '../../store/slices/appSlice'
+import { selectUser } from '../../store/slices/authSlice'
+import { appAPI } from '../../services/api'
+import { Star, Loader, CornerDownRight, ThumbsUp, ThumbsDown, Flag } from 'lucide-react'
+
+const SORTS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'helpful', label: 'Most helpful' },
+  { value: 'rating-high', label: 'Highest rating' },
+  { value: 'rating-low', label: 'Lowest rating' },
+]
+
+const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'offensive', label: 'Offensive or abusive' },
+  { value: 'off-topic', label: 'Not about this app' },
+  { value: 'fake', label: 'Fake review' },
+  { value: 'personal-information', label: 'Shares personal information' },
+  { value: 'other', label: 'Something else' },
+]
+
+const Stars = ({ rating }) => (
+  <div className="flex">
+    {[1, 2, 3, 4, 5].map((value) => (
+      <Star
+        key={value}
+        size={14}
+        className={value <= rating ? 'text-warning-500 fill-current' : 'text-gray-300'}
+      />
+    ))}
+  </div>
+)
+
+// Helpful votes and the report form for signed-in readers of someone else's review
+const ReviewActions = ({ appId, review }) => {
+  const dispatch = useDispatch()
+  const user = useSelector(selectUser)
+  const [isReporting, setIsReporting] = useState(false)
+  const [reason, setReason] = useState('spam')
+  const [details, setDetails] = useState('')
+
+  const isOwnReview = user && review.user?._id === user._id
+
+  const handleVote = async (helpful) => {
+    try {
+      // Clicking the current vote again removes it
+      await dispatch(voteOnReview({
+        appId,
+        reviewId: review._id,
+        helpful: review.myVote === helpful ? null : helpful
+      })).unwrap()
+    } catch (error) {
+      toast.error(error)
+    }
+  }
+
+  const handleReport = async (e) => {
+    e.preventDefault()
+    try {
+      const response = await appAPI.reportReview(appId, review._id, { reason, details })
+      toast.success(response.data.message)
+      setIsReporting(false)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to report review')
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center space-x-4 text-xs text-gray-500">
+        <span>Helpful?</span>
+        <button
+          onClick={() => handleVote(true)}
+          disabled={!user || isOwnReview}
+          className={`flex items-center space-x-1 ${review.myVote === true ? 'text-primary-600' : 'hover:text-gray-700'}`}
+        >
+          <ThumbsUp size={14} />
+          <span>{review.helpfulCount || 0}</span>
+        </button>
+        <button
+          onClick={() => handleVote(false)}
+          disabled={!user || isOwnReview}
+          className={`flex items-center space-x-1 ${review.myVote === false ? 'text-primary-600' : 'hover:text-gray-700'}`}
+        >
+          <ThumbsDown size={14} />
+          <span>{review.notHelpfulCount || 0}</span>
+        </button>
+        {user && !isOwnReview && (
+          <button onClick={() => setIsReporting(!isReporting)} className="flex items-center space-x-1 hover:text-error-600">
+            <Flag size={14} />
+            <span>Report</span>
+          </button>
+        )}
+      </div>
+
+      {isReporting && (
+        <form onSubmit={handleReport} className="p-3 bg-gray-50 rounded-lg space-y-2">
+          <select value={reason} onChange={(e) => setReason(e.target.value)} className="input">
+            {REPORT_REASONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <textarea
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            className="input"
+            rows={2}
+            maxLength={500}
+            placeholder="Anything the moderators should know (optional)"
+          />
+          <div className="flex space-x-2">
+            <button type="submit" className="btn btn-error btn-sm">Report review</button>
+            <button type="button" onClick={() => setIsReporting(false)} className="btn btn-outline btn-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+// The developer's reply under a review, with a form for the app owner to add or edit it
+const ReviewReply = ({ appId, review, canReply }) => {
+  const dispatch = useDispatch()
+  const [isEditing, setIsEditing] = useState(false)
+  const [body, setBody] = useState(review.reply?.body || '')
+  const [isSaving, setIsSaving] = useState(false)
+  const hasReply = Boolean(review.reply?.body)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setIsSaving(true)
+    try {
+      await dispatch(saveReviewReply({ appId, reviewId: review._id, body, isEdit: hasReply })).unwrap()
+      setIsEditing(false)
+      toast.success(hasReply ? 'Reply updated' : 'Reply posted')
+    } catch (error) {
+      toast.error(error)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (isEditing) {
+    return (
+      <form onSubmit={handleSubmit} className="ml-6 mt-2 space-y-2">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          className="input"
+          rows={3}
+          maxLength={1000}
+          placeholder="Write a public reply"
+          required
+        />
+        <div className="flex space-x-2">
+          <button type="submit" className="btn btn-primary btn-sm" disabled={isSaving || !body.trim()}>
+            {hasReply ? 'Save reply' : 'Post reply'}
+          </button>
+          <button type="button" onClick={() => setIsEditing(false)} className="btn btn-outline btn-sm">
+            Cancel
+          </button>
+        </div>
+      </form>
+    )
+  }
+
+  return (
+    <>
+      {hasReply && (
+        <div className="ml-6 mt-2 p-3 bg-gray-50 rounded-lg">
+          <div className="flex items-center space-x-1 text-xs text-gray-500">
+            <CornerDownRight size={14} />
+            <span className="font-medium text-gray-700">Developer response</span>
+            <span>· {new Date(review.reply.updatedAt || review.reply.createdAt).toLocaleDateString()}</span>
+          </div>
+          <p className="text-sm text-gray-700 whitespace-pre-line mt-1">{review.reply.body}</p>
+        </div>
+      )}
+      {canReply && (
+        <button
+          onClick={() => {
+            setBody(review.reply?.body || '')
+            setIsEditing(true)
+          }}
+          className="ml-6 text-xs text-primary-600 hover:text-primary-700"
+        >
+          {hasReply ? 'Edit reply' : 'Reply'}
+        </button>
+      )}
+    </>
+  )
+}
+
+// Paginated, sortable review list for the app detail page. Pass canReply for
+// the app's developer (or an admin) to answer reviews.
+const ReviewList = ({ appId, canReply = false }) => {
+  const dispatch = useDispatch()
+  const reviews = useSelector(selectReviews)
+  const pagination = useSelector(selectReviewsPagination)
+  const isLoading = useSelector(selectIsReviewsLoading)
+  const [sort, setSort] = useState('newest')
+
+  useEffect(() => {
+    dispatch(fetchReviews({ appId, sort }))
+  }, [dispatch, appId, sort])
+
+  const loadMore = () => {
+    dispatch(fetchReviews({ appId, sort, page: pagination.currentPage + 1 }))
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">
+          Reviews <span className="text-gray-500 font-normal">({pagination.totalItems})</span>
+        </h3>
+        <select value={sort} onChange={(e) => setSort(e.target.value)} className="input w-auto">
+          {SORTS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {reviews.length === 0 && !isLoading && (
+        <p className="text-sm text-gray-500">No reviews yet.</p>
+      )}
+
+      <ul className="divide-y divide-gray-100">
+        {reviews.map((review) => (
+          <li key={review._id} className="py-4 space-y-1">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-2">
+                <span className="text-sm font-medium text-gray-900">{review.user?.username}</span>
+                <Stars rating={review.rating} />
+              </div>
+              <span className="text-xs text-gray-500">
+                {new Date(review.createdAt).toLocaleDateString()}
+              </span>
+            </div>
+            {review.comment && <p className="text-sm text-gray-700 whitespace-pre-line">{review.comment}</p>}
+            <ReviewActions appId={appId} review={review} />
+            <ReviewReply appId={appId} review={review} canReply={canReply} />
+          </li>
+        ))}
+      </ul>
+
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <Loader className="w-5 h-5 animate-spin text-gray-400" />
+        </div>
+      ) : (
+        pagination.currentPage < pagination.totalPages && (
+          <button onClick={loadMore} className="btn btn-outline btn-sm w-full">
+            Show more reviews
+          </button>
+        )
+      )}
+    </div>
+  )
+}
+
+export default ReviewList
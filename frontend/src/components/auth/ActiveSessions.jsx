@@ -0,0 +1,111 @@
+import React, { useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useNavigate } from 'react-router-dom'
+import { toast } from 'react-hot-toast'
+import {
+  fetchSessions,
+  revokeSession,
+  revokeAllSessions,
+  selectSessions,
+  selectIsSessionsLoading,
+  selectSessionsError,
+  clearError
+} from '../../store/slices/authSlice'
+import { Monitor, LogOut, Loader } from 'lucide-react'
+
+const ActiveSessions = () => {
+  const dispatch = useDispatch()
+  const navigate = useNavigate()
+
+  const sessions = useSelector(selectSessions)
+  const isLoading = useSelector(selectIsSessionsLoading)
+  const error = useSelector(selectSessionsError)
+
+  useEffect(() => {
+    dispatch(fetchSessions())
+  }, [dispatch])
+
+  useEffect(() => {
+    if (error) {
+      toast.error(error)
+      dispatch(clearError())
+    }
+  }, [error, dispatch])
+
+  const handleRevoke = async (session) => {
+    try {
+      const result = await dispatch(revokeSession(session._id)).unwrap()
+      if (result.current) {
+        navigate('/')
+      } else {
+        toast.success(`Signed out ${session.device}`)
+      }
+    } catch (error) {
+      console.error('Session sign-out failed:', error)
+    }
+  }
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return
+
+    try {
+      await dispatch(revokeAllSessions()).unwrap()
+      toast.success('Signed out of all devices')
+      navigate('/')
+    } catch (error) {
+      console.error('Sign out everywhere failed:', error)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Active Sessions</h3>
+        <button
+          onClick={handleRevokeAll}
+          className="btn btn-outline btn-sm"
+          disabled={sessions.length === 0}
+        >
+          Sign out everywhere
+        </button>
+      </div>
+      <div className="card-body">
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <Loader className="w-5 h-5 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {sessions.map((session) => (
+              <li key={session._id} className="flex items-center justify-between py-3">
+                <div className="flex items-center space-x-3">
+                  <Monitor size={20} className="text-gray-400" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {session.device}
+                      {session.current && (
+                        <span className="badge-success ml-2">This device</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500" title={session.userAgent}>
+                      {session.ip || 'Unknown IP'} · Last active {new Date(session.lastSeenAt).toLocaleString()}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  className="p-2 rounded-md text-gray-500 hover:bg-gray-100"
+                  title="Sign out this session"
+                >
+                  <LogOut size={16} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ActiveSessions
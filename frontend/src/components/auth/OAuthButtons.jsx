@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { authAPI } from '../../services/api'
+import { LogIn } from 'lucide-react'
+
+// "Sign in with ..." buttons for the configured external providers.
+// With mode="link" the chosen provider is linked to the signed-in account instead.
+const OAuthButtons = ({ mode = 'login' }) => {
+  const [providers, setProviders] = useState([])
+
+  useEffect(() => {
+    authAPI.getOAuthProviders()
+      .then((response) => setProviders(response.data))
+      .catch(() => setProviders([]))
+  }, [])
+
+  const handleClick = async (provider) => {
+    try {
+      const response = mode === 'link'
+        ? await authAPI.startOAuthLink(provider.name)
+        : await authAPI.startOAuthLogin(provider.name)
+      window.location.assign(response.data.authorizationUrl)
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Could not reach ${provider.displayName}`)
+    }
+  }
+
+  if (providers.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="space-y-2">
+      {mode === 'login' && (
+        <div className="flex items-center space-x-2 text-xs text-gray-400">
+          <hr className="flex-1 border-gray-200" />
+          <span>or</span>
+          <hr className="flex-1 border-gray-200" />
+        </div>
+      )}
+      {providers.map((provider) => (
+        <button
+          key={provider.name}
+          type="button"
+          onClick={() => handleClick(provider)}
+          className="btn btn-outline w-full flex items-center justify-center space-x-2"
+        >
+          <LogIn size={16} />
+          <span>
+            {mode === 'link' ? `Link ${provider.displayName}` : `Sign in with ${provider.displayName}`}
+          </span>
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default OAuthButtons
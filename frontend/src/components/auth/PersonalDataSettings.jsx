@@ -0,0 +1,103 @@
+import React, { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useNavigate } from 'react-router-dom'
+import { toast } from 'react-hot-toast'
+import { userAPI } from '../../services/api'
+import { clearAuth, selectUser } from '../../store/slices/authSlice'
+import { Download, Trash2 } from 'lucide-react'
+
+// Download a copy of your data, or delete your account
+const PersonalDataSettings = () => {
+  const dispatch = useDispatch()
+  const navigate = useNavigate()
+  const user = useSelector(selectUser)
+  // Accounts with an external sign-in can confirm by having signed in recently
+  const hasIdentity = user?.identities?.length > 0
+  const [password, setPassword] = useState('')
+  const [isExporting, setIsExporting] = useState(false)
+  const [isDeleting, setIsDeleting] = useState(false)
+
+  const handleExport = async (format) => {
+    setIsExporting(true)
+    try {
+      const response = await userAPI.exportData(format)
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `appbazaar-export.${format}`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error('Failed to export your data')
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  const handleDelete = async (e) => {
+    e.preventDefault()
+    if (!window.confirm('Delete your account? This cannot be undone.')) return
+
+    setIsDeleting(true)
+    try {
+      await userAPI.deleteAccount(password || undefined)
+      dispatch(clearAuth())
+      toast.success('Your account has been deleted')
+      navigate('/')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete account')
+      setIsDeleting(false)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="text-lg font-semibold text-gray-900">Your data</h3>
+      </div>
+      <div className="card-body space-y-6">
+        <div className="space-y-2">
+          <p className="text-sm text-gray-600">
+            Download your profile, purchases, payments, reviews, apps, auctions and bids.
+          </p>
+          <div className="flex space-x-2">
+            <button onClick={() => handleExport('json')} className="btn btn-outline btn-sm" disabled={isExporting}>
+              <Download size={16} className="mr-1" />
+              JSON
+            </button>
+            <button onClick={() => handleExport('zip')} className="btn btn-outline btn-sm" disabled={isExporting}>
+              <Download size={16} className="mr-1" />
+              ZIP
+            </button>
+          </div>
+        </div>
+
+        <form onSubmit={handleDelete} className="space-y-2 pt-4 border-t border-gray-100">
+          <p className="text-sm text-gray-600">
+            Deleting your account removes your personal details and unlists your apps.
+            Payment records are kept, and reviews stay as anonymous ratings.
+          </p>
+          {hasIdentity && (
+            <p className="text-sm text-gray-600">
+              No password? Leave it blank if you signed in within the last 10 minutes.
+            </p>
+          )}
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Confirm with your password"
+            className="input"
+            required={!hasIdentity}
+          />
+          <button type="submit" className="btn btn-error btn-sm" disabled={isDeleting || (!password && !hasIdentity)}>
+            <Trash2 size={16} className="mr-1" />
+            Delete account
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default PersonalDataSettings
@@ -0,0 +1,80 @@
+import React, { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useForm } from 'react-hook-form'
+import {
+  loginTwoFactor,
+  cancelTwoFactorLogin,
+  selectIsLoading,
+  selectError
+} from '../../store/slices/authSlice'
+import { ShieldCheck } from 'lucide-react'
+
+// Second step of the login modal, shown once the password has been accepted
+const TwoFactorLoginStep = ({ onSuccess }) => {
+  const dispatch = useDispatch()
+  const isLoading = useSelector(selectIsLoading)
+  const error = useSelector(selectError)
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+
+  const { register, handleSubmit, reset } = useForm()
+
+  const onSubmit = async ({ code }) => {
+    try {
+      const payload = useRecoveryCode ? { recoveryCode: code } : { code }
+      await dispatch(loginTwoFactor(payload)).unwrap()
+      onSuccess && onSuccess()
+    } catch (error) {
+      reset()
+    }
+  }
+
+  const toggleMode = () => {
+    setUseRecoveryCode(!useRecoveryCode)
+    reset()
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+      <div className="text-center">
+        <ShieldCheck className="w-10 h-10 mx-auto text-primary-600 mb-2" />
+        <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+        <p className="text-sm text-gray-600">
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      <input
+        type="text"
+        autoComplete="one-time-code"
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        className="input text-center tracking-widest"
+        autoFocus
+        {...register('code', { required: true })}
+      />
+
+      {error && <p className="text-sm text-error-600 text-center">{error}</p>}
+
+      <button type="submit" className="btn btn-primary w-full" disabled={isLoading}>
+        {isLoading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        <button type="button" onClick={toggleMode} className="text-primary-600 hover:text-primary-700">
+          {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+        </button>
+        <button
+          type="button"
+          onClick={() => dispatch(cancelTwoFactorLogin())}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default TwoFactorLoginStep
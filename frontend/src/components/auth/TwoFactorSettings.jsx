@@ -0,0 +1,141 @@
+import React, { useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { toast } from 'react-hot-toast'
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  clearRecoveryCodes,
+  selectTwoFactorSetup,
+  selectRecoveryCodes,
+  selectIsTwoFactorEnabled
+} from '../../store/slices/authSlice'
+import { ShieldCheck, ShieldOff } from 'lucide-react'
+
+const TwoFactorSettings = () => {
+  const dispatch = useDispatch()
+  const setup = useSelector(selectTwoFactorSetup)
+  const recoveryCodes = useSelector(selectRecoveryCodes)
+  const isEnabled = useSelector(selectIsTwoFactorEnabled)
+
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+
+  const run = async (action, successMessage) => {
+    try {
+      await dispatch(action).unwrap()
+      if (successMessage) toast.success(successMessage)
+      setCode('')
+      setPassword('')
+    } catch (error) {
+      toast.error(error)
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center space-x-2">
+        {isEnabled ? (
+          <ShieldCheck size={20} className="text-success-600" />
+        ) : (
+          <ShieldOff size={20} className="text-gray-400" />
+        )}
+        <h3 className="text-lg font-semibold text-gray-900">Two-factor authentication</h3>
+      </div>
+      <div className="card-body space-y-4">
+        {recoveryCodes && (
+          <div className="p-4 bg-warning-50 border border-warning-200 rounded-lg space-y-2">
+            <p className="text-sm font-medium text-warning-800">
+              Save these recovery codes somewhere safe. Each one works once and they won't be shown again.
+            </p>
+            <ul className="grid grid-cols-2 gap-1 font-mono text-sm">
+              {recoveryCodes.map((recoveryCode) => (
+                <li key={recoveryCode}>{recoveryCode}</li>
+              ))}
+            </ul>
+            <button onClick={() => dispatch(clearRecoveryCodes())} className="btn btn-outline btn-sm">
+              I've saved them
+            </button>
+          </div>
+        )}
+
+        {!isEnabled && !setup && (
+          <>
+            <p className="text-sm text-gray-600">
+              Protect your account with a code from an authenticator app in addition to your password.
+            </p>
+            <button onClick={() => run(setupTwoFactor())} className="btn btn-primary btn-sm">
+              Set up two-factor authentication
+            </button>
+          </>
+        )}
+
+        {!isEnabled && setup && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Scan this QR code with your authenticator app, or enter the key manually.
+            </p>
+            <img src={setup.qrCode} alt="Two-factor QR code" className="w-40 h-40" />
+            <p className="font-mono text-xs break-all text-gray-700">{setup.secret}</p>
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                inputMode="numeric"
+                placeholder="6-digit code"
+                className="input"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+              <button
+                onClick={() => run(enableTwoFactor(code), 'Two-factor authentication enabled')}
+                className="btn btn-primary"
+              >
+                Enable
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isEnabled && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              Enter a current authenticator code to get new recovery codes or, with your password, to turn two-factor off.
+            </p>
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="6-digit code"
+              className="input"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+            <input
+              type="password"
+              placeholder="Password (to disable)"
+              className="input"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            <div className="flex space-x-2">
+              <button
+                onClick={() => run(regenerateRecoveryCodes(code))}
+                className="btn btn-outline btn-sm"
+              >
+                New recovery codes
+              </button>
+              <button
+                onClick={() => run(disableTwoFactor({ code, password }), 'Two-factor authentication disabled')}
+                className="btn btn-error btn-sm"
+              >
+                Disable
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TwoFactorSettings
@@ -0,0 +1,159 @@
+import React, { useEffect, useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { userAPI } from '../../services/api'
+import { BarChart3, Loader } from 'lucide-react'
+import TrendChart from './TrendChart'
+
+const RANGES = [
+  { days: 7, label: 'Last 7 days' },
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last year' },
+]
+
+const formatCurrency = (value) => `₹${Math.round(value).toLocaleString()}`
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`
+const formatCount = (value) => value.toLocaleString()
+const formatRating = (value) => (value === null ? '–' : value.toFixed(2))
+
+const isoDay = (date) => date.toISOString().slice(0, 10)
+
+// Developer dashboard analytics: daily views, downloads, sales and ratings
+// for all of the developer's apps or a single one
+const AnalyticsDashboard = () => {
+  const [days, setDays] = useState(30)
+  const [appId, setAppId] = useState('')
+  const [analytics, setAnalytics] = useState(null)
+  const [apps, setApps] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    const to = new Date()
+    const from = new Date(to.getTime() - (days - 1) * 24 * 60 * 60 * 1000)
+
+    setIsLoading(true)
+    userAPI.getAnalytics({ from: isoDay(from), to: isoDay(to), ...(appId && { app: appId }) })
+      .then((response) => {
+        setAnalytics(response.data)
+        if (!appId) {
+          setApps(response.data.apps.map(({ app }) => app))
+        }
+      })
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load analytics'))
+      .finally(() => setIsLoading(false))
+  }, [days, appId])
+
+  const totals = analytics?.totals
+  const summary = totals && [
+    { label: 'Views', value: formatCount(totals.views) },
+    { label: 'Downloads', value: formatCount(totals.downloads) },
+    { label: 'Purchases', value: formatCount(totals.purchases) },
+    { label: 'Net revenue', value: formatCurrency(totals.netRevenue) },
+    { label: 'Refunds', value: formatCurrency(totals.refunds) },
+    { label: 'Conversion', value: formatPercent(totals.conversionRate) },
+    { label: 'Avg. rating', value: formatRating(totals.averageRating) },
+  ]
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center space-x-2">
+          <BarChart3 size={20} className="text-gray-400" />
+          <h3 className="text-lg font-semibold text-gray-900">Analytics</h3>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select value={appId} onChange={(e) => setAppId(e.target.value)} className="input w-auto">
+            <option value="">All apps</option>
+            {apps.map((app) => (
+              <option key={app._id} value={app._id}>{app.title}</option>
+            ))}
+          </select>
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="input w-auto">
+            {RANGES.map((range) => (
+              <option key={range.days} value={range.days}>{range.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {isLoading || !analytics ? (
+        <div className="flex justify-center py-12">
+          <Loader className="w-6 h-6 animate-spin text-gray-400" />
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4">
+            {summary.map((item) => (
+              <div key={item.label} className="card">
+                <div className="card-body">
+                  <p className="text-xs text-gray-500">{item.label}</p>
+                  <p className="text-xl font-semibold text-gray-900">{item.value}</p>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <TrendChart title="Views" series={analytics.daily} valueKey="views" format={formatCount} />
+            <TrendChart
+              title="Downloads"
+              series={analytics.daily}
+              valueKey="downloads"
+              format={formatCount}
+              colorClass="text-success-600"
+            />
+            <TrendChart
+              title="Net revenue"
+              series={analytics.daily}
+              valueKey="netRevenue"
+              format={formatCurrency}
+              colorClass="text-warning-600"
+            />
+            <TrendChart
+              title="Average rating"
+              series={analytics.daily}
+              valueKey="averageRating"
+              format={formatRating}
+              colorClass="text-error-600"
+            />
+          </div>
+
+          {!appId && analytics.apps.length > 1 && (
+            <div className="card">
+              <div className="card-body overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-2">App</th>
+                      <th className="py-2 text-right">Views</th>
+                      <th className="py-2 text-right">Downloads</th>
+                      <th className="py-2 text-right">Purchases</th>
+                      <th className="py-2 text-right">Net revenue</th>
+                      <th className="py-2 text-right">Conversion</th>
+                      <th className="py-2 text-right">Rating</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {analytics.apps.map(({ app, totals: appTotals }) => (
+                      <tr key={app._id}>
+                        <td className="py-2 font-medium text-gray-900">{app.title}</td>
+                        <td className="py-2 text-right">{formatCount(appTotals.views)}</td>
+                        <td className="py-2 text-right">{formatCount(appTotals.downloads)}</td>
+                        <td className="py-2 text-right">{formatCount(appTotals.purchases)}</td>
+                        <td className="py-2 text-right">{formatCurrency(appTotals.netRevenue)}</td>
+                        <td className="py-2 text-right">{formatPercent(appTotals.conversionRate)}</td>
+                        <td className="py-2 text-right">{formatRating(appTotals.averageRating)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AnalyticsDashboard
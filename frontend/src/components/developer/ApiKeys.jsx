@@ -0,0 +1,155 @@
+import React, { useEffect, useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { userAPI } from '../../services/api'
+import { KeyRound, Trash2, Loader } from 'lucide-react'
+
+const SCOPES = ['apps:read', 'apps:write', 'auctions:read', 'auctions:write']
+
+// Developer API keys for CI pipelines and scripts (Authorization: ApiKey <key>)
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [name, setName] = useState('')
+  const [scopes, setScopes] = useState(['apps:read'])
+  const [expiresInDays, setExpiresInDays] = useState('90')
+  const [newKey, setNewKey] = useState(null)
+
+  useEffect(() => {
+    userAPI.getApiKeys()
+      .then((response) => setApiKeys(response.data))
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load API keys'))
+      .finally(() => setIsLoading(false))
+  }, [])
+
+  const toggleScope = (scope) => {
+    setScopes((current) =>
+      current.includes(scope) ? current.filter((s) => s !== scope) : [...current, scope]
+    )
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    try {
+      const response = await userAPI.createApiKey({
+        name,
+        scopes,
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null
+      })
+      const { key, ...apiKey } = response.data
+      setApiKeys((current) => [apiKey, ...current])
+      setNewKey(key)
+      setName('')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create API key')
+    }
+  }
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything using it will stop working.`)) return
+
+    try {
+      await userAPI.revokeApiKey(apiKey._id)
+      setApiKeys((current) => current.filter((k) => k._id !== apiKey._id))
+      toast.success('API key revoked')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke API key')
+    }
+  }
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center space-x-2">
+        <KeyRound size={20} className="text-gray-400" />
+        <h3 className="text-lg font-semibold text-gray-900">API Keys</h3>
+      </div>
+      <div className="card-body space-y-4">
+        {newKey && (
+          <div className="p-4 bg-warning-50 border border-warning-200 rounded-lg space-y-2">
+            <p className="text-sm font-medium text-warning-800">
+              Copy this key now. It won't be shown again.
+            </p>
+            <p className="font-mono text-xs break-all text-gray-900">{newKey}</p>
+            <button onClick={() => setNewKey(null)} className="btn btn-outline btn-sm">
+              Done
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="space-y-3">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Key name, e.g. GitHub Actions"
+            className="input"
+            maxLength={50}
+            required
+          />
+          <div className="flex flex-wrap gap-3">
+            {SCOPES.map((scope) => (
+              <label key={scope} className="flex items-center space-x-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                <span className="font-mono">{scope}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex items-center space-x-3">
+            <select
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(e.target.value)}
+              className="input w-auto"
+            >
+              <option value="30">Expires in 30 days</option>
+              <option value="90">Expires in 90 days</option>
+              <option value="365">Expires in 1 year</option>
+              <option value="">Never expires</option>
+            </select>
+            <button type="submit" className="btn btn-primary btn-sm" disabled={!name || scopes.length === 0}>
+              Create key
+            </button>
+          </div>
+        </form>
+
+        {isLoading ? (
+          <div className="flex justify-center py-4">
+            <Loader className="w-5 h-5 animate-spin text-gray-400" />
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {apiKeys.map((apiKey) => (
+              <li key={apiKey._id} className="flex items-center justify-between py-3">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {apiKey.name}
+                    <span className="ml-2 font-mono text-xs text-gray-500">abz_{apiKey.prefix}_…</span>
+                    {!apiKey.isActive && <span className="ml-2 text-xs text-error-600">Expired</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {apiKey.scopes.join(', ')} ·{' '}
+                    {apiKey.lastUsedAt
+                      ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleString()} from ${apiKey.lastUsedIp}`
+                      : 'Never used'}
+                    {apiKey.expiresAt && ` · Expires ${new Date(apiKey.expiresAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(apiKey)}
+                  className="p-2 rounded-md text-gray-500 hover:bg-gray-100"
+                  title="Revoke key"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ApiKeys
@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { appAPI } from '../../services/api'
+import { ClipboardCheck, CheckCircle, XCircle, Loader } from 'lucide-react'
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  pending: 'Pending review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+}
+
+// Completeness checklist for one of the developer's apps, with buttons to
+// submit it for review or withdraw a pending submission
+const SubmissionChecklist = ({ appId, onStatusChange }) => {
+  const [checklist, setChecklist] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [isSaving, setIsSaving] = useState(false)
+
+  const loadChecklist = () => {
+    setIsLoading(true)
+    return appAPI.getSubmissionChecklist(appId)
+      .then((response) => setChecklist(response.data))
+      .catch((error) => toast.error(error.response?.data?.message || 'Failed to load checklist'))
+      .finally(() => setIsLoading(false))
+  }
+
+  useEffect(() => {
+    loadChecklist()
+  }, [appId])
+
+  const runAction = async (action, successMessage) => {
+    setIsSaving(true)
+    try {
+      const response = await action()
+      toast.success(successMessage)
+      onStatusChange?.(response.data)
+      await loadChecklist()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Something went wrong')
+      // A failed submit returns the checklist so the list shows what's missing
+      if (error.response?.data?.items) {
+        setChecklist((current) => ({ ...current, ...error.response.data }))
+      }
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  if (isLoading && !checklist) {
+    return (
+      <div className="flex justify-center py-4">
+        <Loader className="w-5 h-5 animate-spin text-gray-400" />
+      </div>
+    )
+  }
+
+  if (!checklist) return null
+
+  const canSubmit = ['draft', 'rejected'].includes(checklist.status)
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <ClipboardCheck size={20} className="text-gray-400" />
+          <h3 className="text-lg font-semibold text-gray-900">Submit for Review</h3>
+        </div>
+        <span className="text-sm text-gray-500">{STATUS_LABELS[checklist.status]}</span>
+      </div>
+      <div className="card-body space-y-4">
+        <ul className="space-y-2">
+          {checklist.items.map((item) => (
+            <li key={item.key} className="flex items-start space-x-2 text-sm">
+              {item.passed ? (
+                <CheckCircle size={16} className="text-success-600 mt-0.5" />
+              ) : (
+                <XCircle size={16} className="text-error-600 mt-0.5" />
+              )}
+              <div>
+                <p className="text-gray-900">{item.label}</p>
+                {item.message && <p className="text-xs text-gray-500">{item.message}</p>}
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        {checklist.status === 'pending' && checklist.submittedAt && (
+          <p className="text-xs text-gray-500">
+            Submitted on {new Date(checklist.submittedAt).toLocaleDateString()}
+          </p>
+        )}
+
+        {canSubmit && (
+          <button
+            onClick={() => runAction(() => appAPI.submitApp(appId), 'App submitted for review')}
+            disabled={isSaving || !checklist.ready}
+            className="btn btn-primary btn-sm"
+          >
+            Submit for review
+          </button>
+        )}
+        {checklist.status === 'pending' && (
+          <button
+            onClick={() => runAction(() => appAPI.withdrawSubmission(appId), 'Submission withdrawn')}
+            disabled={isSaving}
+            className="btn btn-outline btn-sm"
+          >
+            Withdraw submission
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SubmissionChecklist
@@ -0,0 +1,71 @@
+import React from 'react'
+
+const WIDTH = 600
+const HEIGHT = 160
+const PADDING = 8
+
+// Minimal SVG line chart for a daily series. Points with a null value
+// (e.g. days without ratings) break the line instead of dropping to zero.
+const TrendChart = ({ title, series, valueKey, format = (value) => value, colorClass = 'text-primary-600' }) => {
+  const values = series.map((point) => point[valueKey])
+  const defined = values.filter((value) => value !== null && value !== undefined)
+  const max = Math.max(...defined, 0)
+  const min = Math.min(...defined, 0)
+  const span = max - min || 1
+  const total = valueKey === 'averageRating' ? null : defined.reduce((sum, value) => sum + value, 0)
+
+  const x = (index) => PADDING + (index * (WIDTH - PADDING * 2)) / Math.max(series.length - 1, 1)
+  const y = (value) => HEIGHT - PADDING - ((value - min) * (HEIGHT - PADDING * 2)) / span
+
+  // Split the series into runs of defined values
+  const segments = []
+  let current = []
+  values.forEach((value, index) => {
+    if (value === null || value === undefined) {
+      if (current.length) segments.push(current)
+      current = []
+    } else {
+      current.push(`${x(index)},${y(value)}`)
+    }
+  })
+  if (current.length) segments.push(current)
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-baseline justify-between">
+        <h4 className="text-sm font-semibold text-gray-900">{title}</h4>
+        {total !== null && <span className="text-sm text-gray-500">{format(total)}</span>}
+      </div>
+      <div className="card-body">
+        {defined.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">No data for this period</p>
+        ) : (
+          <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className={`w-full h-40 ${colorClass}`} preserveAspectRatio="none">
+            <line x1={PADDING} x2={WIDTH - PADDING} y1={y(min)} y2={y(min)} className="stroke-gray-200" strokeWidth="1" />
+            {segments.map((points, index) =>
+              points.length === 1 ? (
+                <circle key={index} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="3" fill="currentColor" />
+              ) : (
+                <polyline
+                  key={index}
+                  points={points.join(' ')}
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                  vectorEffect="non-scaling-stroke"
+                />
+              )
+            )}
+          </svg>
+        )}
+        <div className="flex justify-between text-xs text-gray-400 mt-1">
+          <span>{series[0]?.date}</span>
+          <span>max {format(max)}</span>
+          <span>{series[series.length - 1]?.date}</span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TrendChart
@@ -26,6 +26,7 @@ import {
   Heart,
   ShoppingBag
 } from 'lucide-react'
+import SearchBox from './SearchBox'
 
 const Header = () => {
   const dispatch = useDispatch()
@@ -248,15 +249,7 @@ const Header = () => {
         {/* Search Bar */}
         {isSearchOpen && (
           <div className="pb-4">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
-              <input
-                type="text"
-                placeholder="Search for apps..."
-                className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                autoFocus
-              />
-            </div>
+            <SearchBox />
           </div>
         )}
       </div>
@@ -3,6 +3,7 @@ import Header from './Header'
 import Footer from './Footer'
 import Sidebar from './Sidebar'
 import MobileMenu from './MobileMenu'
+import VerifyEmailBanner from './VerifyEmailBanner'
 import { useSelector } from 'react-redux'
 import { selectIsSidebarOpen, selectIsMobileMenuOpen } from '../../store/slices/uiSlice'
 
@@ -15,6 +16,9 @@ const Layout = ({ children }) => {
       {/* Header */}
       <Header />
       
+      {/* Email verification reminder */}
+      <VerifyEmailBanner />
+      
       {/* Mobile Menu */}
       {isMobileMenuOpen && <MobileMenu />}
       
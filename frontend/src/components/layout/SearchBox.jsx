@@ -0,0 +1,179 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useDispatch, useSelector } from 'react-redux'
+import { searchAPI } from '../../services/api'
+import { fetchApps, setFilters, selectFilters } from '../../store/slices/appSlice'
+import { closeSearch } from '../../store/slices/uiSlice'
+import { Search, Tag, User } from 'lucide-react'
+
+const SUGGEST_DELAY_MS = 200
+
+const EMPTY_SUGGESTIONS = { apps: [], tags: [], developers: [] }
+
+// Header search with autocomplete. Suggestions tolerate typos and partial
+// words; picking an app opens it, picking a tag or developer searches the
+// marketplace for it.
+const SearchBox = () => {
+  const dispatch = useDispatch()
+  const navigate = useNavigate()
+  const filters = useSelector(selectFilters)
+
+  const [text, setText] = useState(filters.search || '')
+  const [suggestions, setSuggestions] = useState(EMPTY_SUGGESTIONS)
+  const [highlighted, setHighlighted] = useState(-1)
+  const latestRequest = useRef(0)
+
+  useEffect(() => {
+    const query = text.trim()
+    if (!query) {
+      setSuggestions(EMPTY_SUGGESTIONS)
+      return undefined
+    }
+
+    // Wait for a pause in typing, and ignore answers to older queries
+    const timer = setTimeout(() => {
+      const request = ++latestRequest.current
+      searchAPI.suggest(query)
+        .then((response) => {
+          if (request === latestRequest.current) {
+            setSuggestions(response.data)
+            setHighlighted(-1)
+          }
+        })
+        .catch(() => {
+          if (request === latestRequest.current) setSuggestions(EMPTY_SUGGESTIONS)
+        })
+    }, SUGGEST_DELAY_MS)
+
+    return () => clearTimeout(timer)
+  }, [text])
+
+  const searchMarketplace = (changes) => {
+    const nextFilters = { ...filters, ...changes }
+    dispatch(setFilters(changes))
+    dispatch(fetchApps({ ...nextFilters, page: 1 }))
+    dispatch(closeSearch())
+    navigate('/marketplace')
+  }
+
+  // Every suggestion in display order, so the arrow keys can move through them
+  const options = [
+    ...suggestions.apps.map((app) => ({
+      key: `app-${app._id}`,
+      select: () => {
+        dispatch(closeSearch())
+        navigate(`/app/${app._id}`)
+      },
+    })),
+    ...suggestions.tags.map(({ tag }) => ({
+      key: `tag-${tag}`,
+      select: () => searchMarketplace({ search: '', tags: tag }),
+    })),
+    ...suggestions.developers.map(({ username }) => ({
+      key: `developer-${username}`,
+      select: () => searchMarketplace({ search: username }),
+    })),
+  ]
+  const indexOf = (key) => options.findIndex((option) => option.key === key)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (highlighted >= 0 && options[highlighted]) {
+      options[highlighted].select()
+    } else {
+      searchMarketplace({ search: text.trim() })
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setHighlighted((current) => Math.min(current + 1, options.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setHighlighted((current) => Math.max(current - 1, -1))
+    } else if (e.key === 'Escape') {
+      dispatch(closeSearch())
+    }
+  }
+
+  const optionClass = (key) =>
+    `flex items-center space-x-3 w-full px-4 py-2 text-left text-sm ${
+      indexOf(key) === highlighted
+        ? 'bg-primary-50 dark:bg-gray-600'
+        : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+    } text-gray-700 dark:text-gray-300`
+
+  const hasSuggestions = options.length > 0
+
+  return (
+    <form onSubmit={handleSubmit} className="relative">
+      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search for apps..."
+        className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        autoComplete="off"
+        autoFocus
+      />
+
+      {hasSuggestions && (
+        <div className="absolute left-0 right-0 mt-2 bg-white dark:bg-gray-800 rounded-md shadow-lg border border-gray-200 dark:border-gray-700 z-50 py-1">
+          {suggestions.apps.map((app) => (
+            <button
+              key={app._id}
+              type="button"
+              onClick={options[indexOf(`app-${app._id}`)].select}
+              className={optionClass(`app-${app._id}`)}
+            >
+              {app.icon ? (
+                <img src={app.icon} alt="" className="w-8 h-8 rounded object-cover" />
+              ) : (
+                <div className="w-8 h-8 rounded bg-gray-100 dark:bg-gray-700" />
+              )}
+              <span className="flex-1 truncate">{app.title}</span>
+              {app.developer && <span className="text-xs text-gray-500">{app.developer}</span>}
+            </button>
+          ))}
+
+          {suggestions.tags.length > 0 && (
+            <p className="px-4 pt-2 text-xs font-semibold text-gray-500 uppercase">Tags</p>
+          )}
+          {suggestions.tags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              type="button"
+              onClick={options[indexOf(`tag-${tag}`)].select}
+              className={optionClass(`tag-${tag}`)}
+            >
+              <Tag size={16} className="text-gray-400" />
+              <span className="flex-1">{tag}</span>
+              <span className="text-xs text-gray-500">{count}</span>
+            </button>
+          ))}
+
+          {suggestions.developers.length > 0 && (
+            <p className="px-4 pt-2 text-xs font-semibold text-gray-500 uppercase">Developers</p>
+          )}
+          {suggestions.developers.map(({ username, appCount }) => (
+            <button
+              key={username}
+              type="button"
+              onClick={options[indexOf(`developer-${username}`)].select}
+              className={optionClass(`developer-${username}`)}
+            >
+              <User size={16} className="text-gray-400" />
+              <span className="flex-1">{username}</span>
+              <span className="text-xs text-gray-500">{appCount} {appCount === 1 ? 'app' : 'apps'}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </form>
+  )
+}
+
+export default SearchBox
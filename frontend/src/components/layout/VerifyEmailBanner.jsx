@@ -0,0 +1,46 @@
+import React from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { toast } from 'react-hot-toast'
+import {
+  resendVerification,
+  selectIsAuthenticated,
+  selectUser,
+  selectIsEmailVerified
+} from '../../store/slices/authSlice'
+import { MailWarning } from 'lucide-react'
+
+const VerifyEmailBanner = () => {
+  const dispatch = useDispatch()
+  const isAuthenticated = useSelector(selectIsAuthenticated)
+  const user = useSelector(selectUser)
+  const isEmailVerified = useSelector(selectIsEmailVerified)
+
+  if (!isAuthenticated || !user || isEmailVerified) {
+    return null
+  }
+
+  const handleResend = async () => {
+    try {
+      await dispatch(resendVerification()).unwrap()
+      toast.success(`Verification email sent to ${user.email}`)
+    } catch (error) {
+      toast.error(error)
+    }
+  }
+
+  return (
+    <div className="bg-warning-50 border-b border-warning-200">
+      <div className="container mx-auto px-4 py-2 flex items-center justify-between text-sm text-warning-800">
+        <div className="flex items-center space-x-2">
+          <MailWarning size={16} />
+          <span>Verify your email address to publish apps, create auctions and place bids.</span>
+        </div>
+        <button onClick={handleResend} className="font-medium underline hover:no-underline">
+          Resend email
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmailBanner
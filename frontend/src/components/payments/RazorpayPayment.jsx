@@ -14,6 +14,7 @@ import {
   clearSuccess
 } from '../../store/slices/paymentSlice'
 import { selectIsAuthenticated } from '../../store/slices/authSlice'
+import ResponsiveImage from '../apps/ResponsiveImage'
 import { 
   CreditCard, 
   Smartphone, 
@@ -172,9 +173,11 @@ const RazorpayPayment = ({ app, amount, onSuccess, onCancel }) => {
       <div className="bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-6 mb-6">
         <div className="flex items-center space-x-4 mb-4">
           {app.icon ? (
-            <img 
-              src={app.icon} 
-              alt={app.title} 
+            <ResponsiveImage
+              src={app.icon}
+              variants={app.iconVariants}
+              sizes="64px"
+              alt={app.title}
               className="w-16 h-16 rounded-lg object-cover"
             />
           ) : (
@@ -0,0 +1,78 @@
+import React, { useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { Link } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { toast } from 'react-hot-toast'
+import { forgotPassword } from '../store/slices/authSlice'
+import { Mail, ArrowLeft } from 'lucide-react'
+
+const ForgotPasswordPage = () => {
+  const dispatch = useDispatch()
+  const [isSubmitted, setIsSubmitted] = useState(false)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isSubmitting }
+  } = useForm()
+
+  const onSubmit = async ({ email }) => {
+    try {
+      await dispatch(forgotPassword(email)).unwrap()
+      setIsSubmitted(true)
+    } catch (error) {
+      toast.error(error)
+    }
+  }
+
+  return (
+    <div className="max-w-md mx-auto py-12">
+      <div className="card">
+        <div className="card-body space-y-6">
+          <div className="text-center">
+            <div className="w-12 h-12 mx-auto mb-4 bg-primary-100 rounded-full flex items-center justify-center">
+              <Mail className="w-6 h-6 text-primary-600" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900">Forgot your password?</h1>
+            <p className="mt-2 text-sm text-gray-600">
+              Enter your email and we'll send you a link to reset it.
+            </p>
+          </div>
+
+          {isSubmitted ? (
+            <p className="text-sm text-center text-gray-700">
+              If an account exists for that email, a reset link is on its way. The link expires in one hour.
+            </p>
+          ) : (
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  className={errors.email ? 'input-error' : 'input'}
+                  {...register('email', { required: 'Email is required' })}
+                />
+                {errors.email && (
+                  <p className="mt-1 text-xs text-error-600">{errors.email.message}</p>
+                )}
+              </div>
+              <button type="submit" className="btn btn-primary w-full" disabled={isSubmitting}>
+                {isSubmitting ? 'Sending...' : 'Send reset link'}
+              </button>
+            </form>
+          )}
+
+          <Link to="/" className="flex items-center justify-center space-x-1 text-sm text-primary-600 hover:text-primary-700">
+            <ArrowLeft size={16} />
+            <span>Back to AppBazaar</span>
+          </Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPasswordPage
@@ -0,0 +1,67 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom'
+import { toast } from 'react-hot-toast'
+import { completeOAuth } from '../store/slices/authSlice'
+import { openLoginModal } from '../store/slices/uiSlice'
+import { AlertCircle, Loader } from 'lucide-react'
+
+const OAuthCallbackPage = () => {
+  const dispatch = useDispatch()
+  const navigate = useNavigate()
+  const { provider } = useParams()
+  const [searchParams] = useSearchParams()
+  const [error, setError] = useState(searchParams.get('error_description') || searchParams.get('error'))
+  const hasRequested = useRef(false)
+
+  useEffect(() => {
+    const code = searchParams.get('code')
+    const state = searchParams.get('state')
+
+    // Authorization codes are single-use, so don't let StrictMode's double effect burn it
+    if (hasRequested.current || error || !code || !state) return
+    hasRequested.current = true
+
+    dispatch(completeOAuth({ provider, code, state }))
+      .unwrap()
+      .then((result) => {
+        if (result.linked) {
+          toast.success('Account linked')
+          navigate('/profile', { replace: true })
+        } else if (result.twoFactorRequired) {
+          navigate('/', { replace: true })
+          dispatch(openLoginModal())
+        } else {
+          toast.success(result.isNewUser ? 'Welcome to AppBazaar!' : 'Signed in')
+          navigate('/', { replace: true })
+        }
+      })
+      .catch(setError)
+  }, [dispatch, navigate, provider, searchParams, error])
+
+  return (
+    <div className="max-w-md mx-auto py-12">
+      <div className="card">
+        <div className="card-body text-center space-y-4">
+          {error ? (
+            <>
+              <AlertCircle className="w-10 h-10 mx-auto text-error-600" />
+              <h1 className="text-xl font-bold text-gray-900">Sign-in failed</h1>
+              <p className="text-gray-600">{error}</p>
+              <button onClick={() => navigate('/', { replace: true })} className="btn btn-primary">
+                Back to AppBazaar
+              </button>
+            </>
+          ) : (
+            <>
+              <Loader className="w-10 h-10 mx-auto animate-spin text-primary-600" />
+              <p className="text-gray-700">Completing sign-in...</p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OAuthCallbackPage
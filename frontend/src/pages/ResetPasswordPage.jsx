@@ -0,0 +1,100 @@
+import React from 'react'
+import { useDispatch } from 'react-redux'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { toast } from 'react-hot-toast'
+import { resetPassword } from '../store/slices/authSlice'
+import { openLoginModal } from '../store/slices/uiSlice'
+import { KeyRound } from 'lucide-react'
+
+const ResetPasswordPage = () => {
+  const dispatch = useDispatch()
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors, isSubmitting }
+  } = useForm()
+
+  const onSubmit = async ({ password }) => {
+    try {
+      await dispatch(resetPassword({ token, password })).unwrap()
+      toast.success('Password reset. Please log in with your new password.')
+      navigate('/')
+      dispatch(openLoginModal())
+    } catch (error) {
+      toast.error(error)
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className="max-w-md mx-auto py-12 text-center space-y-4">
+        <p className="text-gray-700">This reset link is missing its token.</p>
+        <Link to="/forgot-password" className="btn btn-primary">
+          Request a new link
+        </Link>
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-md mx-auto py-12">
+      <div className="card">
+        <div className="card-body space-y-6">
+          <div className="text-center">
+            <div className="w-12 h-12 mx-auto mb-4 bg-primary-100 rounded-full flex items-center justify-center">
+              <KeyRound className="w-6 h-6 text-primary-600" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900">Choose a new password</h1>
+          </div>
+
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                New password
+              </label>
+              <input
+                id="password"
+                type="password"
+                className={errors.password ? 'input-error' : 'input'}
+                {...register('password', {
+                  required: 'Password is required',
+                  minLength: { value: 6, message: 'Password must be at least 6 characters long' }
+                })}
+              />
+              {errors.password && (
+                <p className="mt-1 text-xs text-error-600">{errors.password.message}</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Confirm new password
+              </label>
+              <input
+                id="confirmPassword"
+                type="password"
+                className={errors.confirmPassword ? 'input-error' : 'input'}
+                {...register('confirmPassword', {
+                  validate: (value) => value === watch('password') || 'Passwords do not match'
+                })}
+              />
+              {errors.confirmPassword && (
+                <p className="mt-1 text-xs text-error-600">{errors.confirmPassword.message}</p>
+              )}
+            </div>
+            <button type="submit" className="btn btn-primary w-full" disabled={isSubmitting}>
+              {isSubmitting ? 'Resetting...' : 'Reset password'}
+            </button>
+          </form>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPasswordPage
@@ -0,0 +1,64 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { useDispatch } from 'react-redux'
+import { Link, useSearchParams } from 'react-router-dom'
+import { verifyEmail } from '../store/slices/authSlice'
+import { CheckCircle, AlertCircle, Loader } from 'lucide-react'
+
+const VerifyEmailPage = () => {
+  const dispatch = useDispatch()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error')
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.')
+  const hasRequested = useRef(false)
+
+  useEffect(() => {
+    // Tokens are single-use, so don't let StrictMode's double effect burn it
+    if (!token || hasRequested.current) return
+    hasRequested.current = true
+
+    dispatch(verifyEmail(token))
+      .unwrap()
+      .then(() => setStatus('success'))
+      .catch((error) => {
+        setStatus('error')
+        setMessage(error)
+      })
+  }, [dispatch, token])
+
+  return (
+    <div className="max-w-md mx-auto py-12">
+      <div className="card">
+        <div className="card-body text-center space-y-4">
+          {status === 'verifying' && (
+            <>
+              <Loader className="w-10 h-10 mx-auto animate-spin text-primary-600" />
+              <p className="text-gray-700">Verifying your email address...</p>
+            </>
+          )}
+          {status === 'success' && (
+            <>
+              <CheckCircle className="w-10 h-10 mx-auto text-success-600" />
+              <h1 className="text-2xl font-bold text-gray-900">Email verified</h1>
+              <p className="text-gray-600">You can now publish apps, create auctions and place bids.</p>
+              <Link to="/marketplace" className="btn btn-primary">
+                Go to Marketplace
+              </Link>
+            </>
+          )}
+          {status === 'error' && (
+            <>
+              <AlertCircle className="w-10 h-10 mx-auto text-error-600" />
+              <h1 className="text-2xl font-bold text-gray-900">Verification failed</h1>
+              <p className="text-gray-600">{message}</p>
+              <p className="text-sm text-gray-500">Log in to request a new verification email.</p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmailPage
@@ -22,14 +22,65 @@ api.interceptors.request.use(
   }
 )
 
-// Response interceptor to handle errors
+// Auth endpoints whose 401 means bad credentials rather than an expired token
+const NO_REFRESH_URLS = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/verify-email',
+  '/auth/forgot-password',
+  '/auth/reset-password'
+]
+
+// Single in-flight refresh shared by every request that hit a 401
+let refreshPromise = null
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken')
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token)
+        localStorage.setItem('refreshToken', data.refreshToken)
+        return data.token
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
+// Response interceptor to refresh the access token and retry on 401
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config
+    const canRefresh = originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url) &&
+      localStorage.getItem('refreshToken')
+
+    if (error.response?.status === 401 && canRefresh) {
+      originalRequest._retry = true
+      try {
+        const token = await refreshTokens()
+        originalRequest.headers.Authorization = `Bearer ${token}`
+        return api(originalRequest)
+      } catch (refreshError) {
+        // Refresh token expired or revoked, clear from localStorage
+        localStorage.removeItem('token')
+        localStorage.removeItem('refreshToken')
+        return Promise.reject(refreshError)
+      }
+    }
+
     if (error.response?.status === 401) {
       // Token expired or invalid, clear from localStorage
       localStorage.removeItem('token')
-      // Redirect to login or refresh token logic can be added here
+      localStorage.removeItem('refreshToken')
     }
     return Promise.reject(error)
   }
@@ -39,10 +90,28 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
+  loginTwoFactor: (twoFactorData) => api.post('/auth/login/2fa', twoFactorData),
   logout: () => api.post('/auth/logout'),
+  refresh: (refreshToken) => api.post('/auth/refresh', { refreshToken }),
   getProfile: () => api.get('/auth/profile'),
   updateProfile: (profileData) => api.put('/auth/profile', profileData),
   changePassword: (passwordData) => api.put('/auth/change-password', passwordData),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (resetData) => api.post('/auth/reset-password', resetData),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (disableData) => api.post('/auth/2fa/disable', disableData),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  getOAuthProviders: () => api.get('/auth/oauth/providers'),
+  startOAuthLogin: (provider) => api.post(`/auth/oauth/${provider}/authorize`),
+  startOAuthLink: (provider) => api.post(`/auth/oauth/${provider}/link`),
+  completeOAuth: (provider, callbackData) => api.post(`/auth/oauth/${provider}/callback`, callbackData),
+  unlinkOAuth: (provider) => api.delete(`/auth/oauth/${provider}`),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeAllSessions: () => api.delete('/auth/sessions'),
 }
 
 // Apps API
@@ -53,10 +122,52 @@ export const appAPI = {
   createApp: (appData) => api.post('/apps', appData),
   updateApp: (appId, appData) => api.put(`/apps/${appId}`, appData),
   deleteApp: (appId) => api.delete(`/apps/${appId}`),
+  getSubmissionChecklist: (appId) => api.get(`/apps/${appId}/submission-checklist`),
+  submitApp: (appId) => api.post(`/apps/${appId}/submit`),
+  withdrawSubmission: (appId) => api.post(`/apps/${appId}/withdraw`),
+  getStatusHistory: (appId) => api.get(`/apps/${appId}/status-history`),
+  getPendingRevision: (appId) => api.get(`/apps/${appId}/revision`),
+  discardRevision: (appId) => api.delete(`/apps/${appId}/revision`),
   toggleWishlist: (appId) => api.post(`/apps/${appId}/wishlist`),
   purchaseApp: (appId) => api.post(`/apps/${appId}/purchase`),
   addReview: (appId, reviewData) => api.post(`/apps/${appId}/review`, reviewData),
+  getReviews: (appId, params = {}) => api.get(`/apps/${appId}/reviews`, { params }),
+  replyToReview: (appId, reviewId, body) => api.post(`/apps/${appId}/reviews/${reviewId}/reply`, { body }),
+  updateReviewReply: (appId, reviewId, body) => api.put(`/apps/${appId}/reviews/${reviewId}/reply`, { body }),
+  voteReview: (appId, reviewId, helpful) => api.put(`/apps/${appId}/reviews/${reviewId}/vote`, { helpful }),
+  removeReviewVote: (appId, reviewId) => api.delete(`/apps/${appId}/reviews/${reviewId}/vote`),
+  reportReview: (appId, reviewId, reportData) => api.post(`/apps/${appId}/reviews/${reviewId}/report`, reportData),
   getUserApps: () => api.get('/apps/user/my-apps'),
+  getReleases: (appId) => api.get(`/apps/${appId}/releases`),
+  getAllReleases: (appId) => api.get(`/apps/${appId}/releases/all`),
+  getWhatsNew: (appId) => api.get(`/apps/${appId}/releases/whats-new`),
+  createRelease: (appId, releaseData) => api.post(`/apps/${appId}/releases`, releaseData),
+  updateRelease: (appId, releaseId, releaseData) => api.put(`/apps/${appId}/releases/${releaseId}`, releaseData),
+  deleteRelease: (appId, releaseId) => api.delete(`/apps/${appId}/releases/${releaseId}`),
+  uploadIcon: (appId, file) => {
+    const formData = new FormData()
+    formData.append('icon', file)
+    return api.post(`/apps/${appId}/icon`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    })
+  },
+  uploadScreenshots: (appId, files) => {
+    const formData = new FormData()
+    Array.from(files).forEach((file) => formData.append('screenshots', file))
+    return api.post(`/apps/${appId}/screenshots`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    })
+  },
+  removeScreenshot: (appId, url) => api.delete(`/apps/${appId}/screenshots`, { data: { url } }),
+  uploadReleaseArtifact: (appId, releaseId, file, onUploadProgress) => {
+    const formData = new FormData()
+    formData.append('artifact', file)
+    return api.post(`/apps/${appId}/releases/${releaseId}/artifact`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress,
+    })
+  },
+  getDownloadLink: (appId) => api.get(`/apps/${appId}/download`),
 }
 
 // Users API
@@ -67,9 +178,16 @@ export const userAPI = {
   updateProfile: (profileData) => api.put('/users/profile', profileData),
   getMyApps: () => api.get('/users/my-apps'),
   getAppStats: () => api.get('/users/app-stats'),
+  getAnalytics: (params = {}) => api.get('/users/analytics', { params }),
   getActivity: (page = 1, limit = 20) => api.get('/users/activity', { params: { page, limit } }),
   checkHasPurchased: (appId) => api.get(`/users/has-purchased/${appId}`),
   checkInWishlist: (appId) => api.get(`/users/in-wishlist/${appId}`),
+  becomeDeveloper: () => api.post('/users/become-developer'),
+  exportData: (format = 'json') => api.get('/users/me/export', { params: { format }, responseType: 'blob' }),
+  deleteAccount: (password) => api.delete('/users/me', { data: { password } }),
+  getApiKeys: () => api.get('/users/api-keys'),
+  createApiKey: (keyData) => api.post('/users/api-keys', keyData),
+  revokeApiKey: (keyId) => api.delete(`/users/api-keys/${keyId}`),
 }
 
 // Admin API
@@ -78,12 +196,31 @@ export const adminAPI = {
   getUsers: (filters = {}) => api.get('/admin/users', { params: filters }),
   getUserById: (userId) => api.get(`/admin/users/${userId}`),
   updateUser: (userId, userData) => api.put(`/admin/users/${userId}`, userData),
+  updateUserRole: (userId, role) => api.put(`/admin/users/${userId}`, { role }),
+  unlockUser: (userId) => api.put(`/admin/users/${userId}`, { unlock: true }),
   deleteUser: (userId) => api.delete(`/admin/users/${userId}`),
   
   // Apps management
   getAllApps: (filters = {}) => api.get('/admin/apps', { params: filters }),
+  getAppQueue: (filters = {}) => api.get('/admin/apps/queue', { params: filters }),
+  getAppForModeration: (appId) => api.get(`/admin/apps/${appId}`),
+  claimApp: (appId) => api.put(`/admin/apps/${appId}/claim`),
+  assignApp: (appId, moderatorId) => api.put(`/admin/apps/${appId}/assign`, { moderatorId }),
   updateAppStatus: (appId, statusData) => api.put(`/admin/apps/${appId}/status`, statusData),
   toggleAppFeatured: (appId) => api.put(`/admin/apps/${appId}/featured`),
+  getRevisions: (filters = {}) => api.get('/admin/revisions', { params: filters }),
+  approveRevision: (revisionId, notes) => api.put(`/admin/revisions/${revisionId}/approve`, { notes }),
+  rejectRevision: (revisionId, rejectionData) => api.put(`/admin/revisions/${revisionId}/reject`, rejectionData),
+  
+  // Review moderation
+  getReviewQueue: (filters = {}) => api.get('/admin/reviews', { params: filters }),
+  hideReview: (reviewId, reason) => api.put(`/admin/reviews/${reviewId}/hide`, { reason }),
+  restoreReview: (reviewId) => api.put(`/admin/reviews/${reviewId}/restore`),
+  dismissReviewReports: (reviewId) => api.put(`/admin/reviews/${reviewId}/dismiss-reports`),
+  
+  // Settings
+  getSettings: () => api.get('/admin/settings'),
+  updateSettings: (settings) => api.put('/admin/settings', settings),
   
   // Dashboard
   getDashboardStats: () => api.get('/admin/dashboard'),
@@ -113,6 +250,11 @@ export const paymentAPI = {
   processRefund: (refundData) => api.post('/payments/refund', refundData),
 }
 
+// Search API
+export const searchAPI = {
+  suggest: (query, limit) => api.get('/search/suggest', { params: { q: query, limit } }),
+}
+
 // Health check
 export const healthCheck = () => api.get('/health')
 
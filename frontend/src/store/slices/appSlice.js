@@ -6,7 +6,11 @@ export const fetchApps = createAsyncThunk(
   'apps/fetchApps',
   async (filters, { rejectWithValue }) => {
     try {
-      const response = await appAPI.getApps(filters)
+      // Unset filters are left out of the query string
+      const params = Object.fromEntries(
+        Object.entries(filters || {}).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      )
+      const response = await appAPI.getApps(params)
       return response.data
     } catch (error) {
       return rejectWithValue(error.response?.data?.message || 'Failed to fetch apps')
@@ -110,6 +114,47 @@ export const addReview = createAsyncThunk(
   }
 )
 
+export const fetchReviews = createAsyncThunk(
+  'apps/fetchReviews',
+  async ({ appId, sort = 'newest', page = 1, limit = 10 }, { rejectWithValue }) => {
+    try {
+      const response = await appAPI.getReviews(appId, { sort, page, limit })
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch reviews')
+    }
+  }
+)
+
+export const saveReviewReply = createAsyncThunk(
+  'apps/saveReviewReply',
+  async ({ appId, reviewId, body, isEdit = false }, { rejectWithValue }) => {
+    try {
+      const response = isEdit
+        ? await appAPI.updateReviewReply(appId, reviewId, body)
+        : await appAPI.replyToReview(appId, reviewId, body)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to save reply')
+    }
+  }
+)
+
+// helpful: true/false to vote, null to remove the vote
+export const voteOnReview = createAsyncThunk(
+  'apps/voteOnReview',
+  async ({ appId, reviewId, helpful }, { rejectWithValue }) => {
+    try {
+      const response = helpful === null
+        ? await appAPI.removeReviewVote(appId, reviewId)
+        : await appAPI.voteReview(appId, reviewId, helpful)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to save vote')
+    }
+  }
+)
+
 export const fetchUserApps = createAsyncThunk(
   'apps/fetchUserApps',
   async (_, { rejectWithValue }) => {
@@ -122,6 +167,30 @@ export const fetchUserApps = createAsyncThunk(
   }
 )
 
+export const fetchReleases = createAsyncThunk(
+  'apps/fetchReleases',
+  async (appId, { rejectWithValue }) => {
+    try {
+      const response = await appAPI.getReleases(appId)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch releases')
+    }
+  }
+)
+
+export const fetchWhatsNew = createAsyncThunk(
+  'apps/fetchWhatsNew',
+  async (appId, { rejectWithValue }) => {
+    try {
+      const response = await appAPI.getWhatsNew(appId)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch what\'s new')
+    }
+  }
+)
+
 const initialState = {
   // Marketplace apps
   marketplaceApps: [],
@@ -131,6 +200,19 @@ const initialState = {
   // User apps
   userApps: [],
   
+  // Releases of the current app
+  releases: [],
+  whatsNew: [],
+  
+  // Reviews of the current app
+  reviews: [],
+  reviewsPagination: {
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: 0,
+    itemsPerPage: 10
+  },
+  
   // Pagination
   pagination: {
     currentPage: 1,
@@ -145,9 +227,23 @@ const initialState = {
     category: '',
     minPrice: '',
     maxPrice: '',
-    sortBy: 'createdAt',
+    priceBand: '',
+    minRating: '',
+    platform: '',
+    tags: '',
+    // Empty lets the server choose: relevance when searching, newest otherwise
+    sortBy: '',
     sortOrder: 'desc'
   },
+
+  // Result counts for each filter value of the last search
+  facets: {
+    categories: [],
+    priceBands: [],
+    ratings: [],
+    platforms: [],
+    tags: []
+  },
   
   // Loading states
   isLoading: false,
@@ -160,6 +256,8 @@ const initialState = {
   isPurchasing: false,
   isReviewing: false,
   isUserAppsLoading: false,
+  isReleasesLoading: false,
+  isReviewsLoading: false,
   
   // Error states
   error: null,
@@ -171,7 +269,9 @@ const initialState = {
   wishlistError: null,
   purchaseError: null,
   reviewError: null,
-  userAppsError: null
+  userAppsError: null,
+  releasesError: null,
+  reviewsError: null
 }
 
 const appSlice = createSlice({
@@ -189,6 +289,8 @@ const appSlice = createSlice({
       state.purchaseError = null
       state.reviewError = null
       state.userAppsError = null
+      state.releasesError = null
+      state.reviewsError = null
     },
     
     setFilters: (state, action) => {
@@ -201,13 +303,20 @@ const appSlice = createSlice({
         category: '',
         minPrice: '',
         maxPrice: '',
-        sortBy: 'createdAt',
+        priceBand: '',
+        minRating: '',
+        platform: '',
+        tags: '',
+        sortBy: '',
         sortOrder: 'desc'
       }
     },
     
     clearCurrentApp: (state) => {
       state.currentApp = null
+      state.releases = []
+      state.whatsNew = []
+      state.reviews = []
     },
     
     clearUserApps: (state) => {
@@ -224,6 +333,7 @@ const appSlice = createSlice({
       .addCase(fetchApps.fulfilled, (state, action) => {
         state.isLoading = false
         state.marketplaceApps = action.payload.apps
+        state.facets = action.payload.facets
         state.pagination = action.payload.pagination
       })
       .addCase(fetchApps.rejected, (state, action) => {
@@ -362,9 +472,16 @@ const appSlice = createSlice({
       })
       .addCase(addReview.fulfilled, (state, action) => {
         state.isReviewing = false
-        // Update current app with new review data
-        if (state.currentApp && state.currentApp._id === action.payload._id) {
-          state.currentApp = action.payload
+        const { review, ratings } = action.payload
+        // Update the current app's rating and the review in the loaded list
+        if (state.currentApp && state.currentApp._id === review.app) {
+          state.currentApp.ratings = ratings
+        }
+        const index = state.reviews.findIndex((r) => r._id === review._id)
+        if (index !== -1) {
+          state.reviews[index] = review
+        } else {
+          state.reviews.unshift(review)
         }
       })
       .addCase(addReview.rejected, (state, action) => {
@@ -385,6 +502,64 @@ const appSlice = createSlice({
         state.isUserAppsLoading = false
         state.userAppsError = action.payload
       })
+      
+      // Fetch Releases
+      .addCase(fetchReleases.pending, (state) => {
+        state.isReleasesLoading = true
+        state.releasesError = null
+      })
+      .addCase(fetchReleases.fulfilled, (state, action) => {
+        state.isReleasesLoading = false
+        state.releases = action.payload
+      })
+      .addCase(fetchReleases.rejected, (state, action) => {
+        state.isReleasesLoading = false
+        state.releasesError = action.payload
+      })
+      
+      // Fetch Reviews
+      .addCase(fetchReviews.pending, (state) => {
+        state.isReviewsLoading = true
+        state.reviewsError = null
+      })
+      .addCase(fetchReviews.fulfilled, (state, action) => {
+        state.isReviewsLoading = false
+        // Later pages are appended for "load more"
+        state.reviews = action.meta.arg.page > 1
+          ? [...state.reviews, ...action.payload.reviews]
+          : action.payload.reviews
+        state.reviewsPagination = action.payload.pagination
+      })
+      .addCase(fetchReviews.rejected, (state, action) => {
+        state.isReviewsLoading = false
+        state.reviewsError = action.payload
+      })
+      
+      // Save Review Reply
+      .addCase(saveReviewReply.fulfilled, (state, action) => {
+        const index = state.reviews.findIndex((r) => r._id === action.payload._id)
+        if (index !== -1) {
+          state.reviews[index] = action.payload
+        }
+      })
+      
+      // Vote On Review
+      .addCase(voteOnReview.fulfilled, (state, action) => {
+        const review = state.reviews.find((r) => r._id === action.meta.arg.reviewId)
+        if (review) {
+          review.helpfulCount = action.payload.helpfulCount
+          review.notHelpfulCount = action.payload.notHelpfulCount
+          review.myVote = action.payload.vote
+        }
+      })
+      
+      // Fetch What's New
+      .addCase(fetchWhatsNew.fulfilled, (state, action) => {
+        state.whatsNew = action.payload.releases
+      })
+      .addCase(fetchWhatsNew.rejected, (state) => {
+        state.whatsNew = []
+      })
   }
 })
 
@@ -406,6 +581,7 @@ export const selectCurrentApp = (state) => state.apps.currentApp
 export const selectUserApps = (state) => state.apps.userApps
 export const selectPagination = (state) => state.apps.pagination
 export const selectFilters = (state) => state.apps.filters
+export const selectFacets = (state) => state.apps.facets
 export const selectIsLoading = (state) => state.apps.isLoading
 export const selectIsFeaturedLoading = (state) => state.apps.isFeaturedLoading
 export const selectIsAppLoading = (state) => state.apps.isAppLoading
@@ -426,3 +602,11 @@ export const selectWishlistError = (state) => state.apps.wishlistError
 export const selectPurchaseError = (state) => state.apps.purchaseError
 export const selectReviewError = (state) => state.apps.reviewError
 export const selectUserAppsError = (state) => state.apps.userAppsError
+export const selectReleases = (state) => state.apps.releases
+export const selectWhatsNew = (state) => state.apps.whatsNew
+export const selectIsReleasesLoading = (state) => state.apps.isReleasesLoading
+export const selectReleasesError = (state) => state.apps.releasesError
+export const selectReviews = (state) => state.apps.reviews
+export const selectReviewsPagination = (state) => state.apps.reviewsPagination
+export const selectIsReviewsLoading = (state) => state.apps.isReviewsLoading
+export const selectReviewsError = (state) => state.apps.reviewsError
@@ -1,5 +1,5 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
-import { authAPI } from '../../services/api'
+import { authAPI, userAPI } from '../../services/api'
 
 // Async thunks
 export const register = createAsyncThunk(
@@ -26,6 +26,31 @@ export const login = createAsyncThunk(
   }
 )
 
+export const loginTwoFactor = createAsyncThunk(
+  'auth/loginTwoFactor',
+  async ({ code, recoveryCode }, { rejectWithValue, getState }) => {
+    try {
+      const { twoFactorToken } = getState().auth
+      const response = await authAPI.loginTwoFactor({ twoFactorToken, code, recoveryCode })
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Two-factor verification failed')
+    }
+  }
+)
+
+export const completeOAuth = createAsyncThunk(
+  'auth/completeOAuth',
+  async ({ provider, code, state }, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.completeOAuth(provider, { code, state })
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'External sign-in failed')
+    }
+  }
+)
+
 export const logout = createAsyncThunk(
   'auth/logout',
   async (_, { rejectWithValue }) => {
@@ -66,6 +91,18 @@ export const updateProfile = createAsyncThunk(
   }
 )
 
+export const becomeDeveloper = createAsyncThunk(
+  'auth/becomeDeveloper',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await userAPI.becomeDeveloper()
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Developer upgrade failed')
+    }
+  }
+)
+
 export const changePassword = createAsyncThunk(
   'auth/changePassword',
   async (passwordData, { rejectWithValue }) => {
@@ -78,6 +115,138 @@ export const changePassword = createAsyncThunk(
   }
 )
 
+export const verifyEmail = createAsyncThunk(
+  'auth/verifyEmail',
+  async (token, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.verifyEmail(token)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Email verification failed')
+    }
+  }
+)
+
+export const resendVerification = createAsyncThunk(
+  'auth/resendVerification',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.resendVerification()
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to resend verification email')
+    }
+  }
+)
+
+export const forgotPassword = createAsyncThunk(
+  'auth/forgotPassword',
+  async (email, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.forgotPassword(email)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to send reset email')
+    }
+  }
+)
+
+export const resetPassword = createAsyncThunk(
+  'auth/resetPassword',
+  async (resetData, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.resetPassword(resetData)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Password reset failed')
+    }
+  }
+)
+
+export const setupTwoFactor = createAsyncThunk(
+  'auth/setupTwoFactor',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.setupTwoFactor()
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to start two-factor setup')
+    }
+  }
+)
+
+export const enableTwoFactor = createAsyncThunk(
+  'auth/enableTwoFactor',
+  async (code, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.enableTwoFactor(code)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to enable two-factor authentication')
+    }
+  }
+)
+
+export const disableTwoFactor = createAsyncThunk(
+  'auth/disableTwoFactor',
+  async (disableData, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.disableTwoFactor(disableData)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to disable two-factor authentication')
+    }
+  }
+)
+
+export const regenerateRecoveryCodes = createAsyncThunk(
+  'auth/regenerateRecoveryCodes',
+  async (code, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.regenerateRecoveryCodes(code)
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to regenerate recovery codes')
+    }
+  }
+)
+
+export const fetchSessions = createAsyncThunk(
+  'auth/fetchSessions',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.getSessions()
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch sessions')
+    }
+  }
+)
+
+export const revokeSession = createAsyncThunk(
+  'auth/revokeSession',
+  async (sessionId, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.revokeSession(sessionId)
+      return { sessionId, ...response.data }
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to sign out session')
+    }
+  }
+)
+
+export const revokeAllSessions = createAsyncThunk(
+  'auth/revokeAllSessions',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.revokeAllSessions()
+      return response.data
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to sign out everywhere')
+    }
+  }
+)
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
@@ -86,6 +255,12 @@ const initialState = {
   error: null,
   isProfileLoading: false,
   profileError: null,
+  twoFactorToken: null,
+  twoFactorSetup: null,
+  recoveryCodes: null,
+  sessions: [],
+  isSessionsLoading: false,
+  sessionsError: null,
 }
 
 const authSlice = createSlice({
@@ -95,6 +270,13 @@ const authSlice = createSlice({
     clearError: (state) => {
       state.error = null
       state.profileError = null
+      state.sessionsError = null
+    },
+    cancelTwoFactorLogin: (state) => {
+      state.twoFactorToken = null
+    },
+    clearRecoveryCodes: (state) => {
+      state.recoveryCodes = null
     },
     setToken: (state, action) => {
       state.token = action.payload
@@ -109,7 +291,9 @@ const authSlice = createSlice({
       state.user = null
       state.token = null
       state.isAuthenticated = false
+      state.sessions = []
       localStorage.removeItem('token')
+      localStorage.removeItem('refreshToken')
     },
   },
   extraReducers: (builder) => {
@@ -125,6 +309,7 @@ const authSlice = createSlice({
         state.token = action.payload.token
         state.isAuthenticated = true
         localStorage.setItem('token', action.payload.token)
+        localStorage.setItem('refreshToken', action.payload.refreshToken)
       })
       .addCase(register.rejected, (state, action) => {
         state.isLoading = false
@@ -137,21 +322,73 @@ const authSlice = createSlice({
       })
       .addCase(login.fulfilled, (state, action) => {
         state.isLoading = false
+        // Password accepted, but a second factor is still needed
+        if (action.payload.twoFactorRequired) {
+          state.twoFactorToken = action.payload.twoFactorToken
+          return
+        }
         state.user = action.payload
         state.token = action.payload.token
         state.isAuthenticated = true
         localStorage.setItem('token', action.payload.token)
+        localStorage.setItem('refreshToken', action.payload.refreshToken)
       })
       .addCase(login.rejected, (state, action) => {
         state.isLoading = false
         state.error = action.payload
       })
+      // External sign-in (also used to finish linking a provider)
+      .addCase(completeOAuth.pending, (state) => {
+        state.isLoading = true
+        state.error = null
+      })
+      .addCase(completeOAuth.fulfilled, (state, action) => {
+        state.isLoading = false
+        if (action.payload.linked) {
+          if (state.user) {
+            state.user.identities = action.payload.identities
+          }
+          return
+        }
+        if (action.payload.twoFactorRequired) {
+          state.twoFactorToken = action.payload.twoFactorToken
+          return
+        }
+        state.user = action.payload
+        state.token = action.payload.token
+        state.isAuthenticated = true
+        localStorage.setItem('token', action.payload.token)
+        localStorage.setItem('refreshToken', action.payload.refreshToken)
+      })
+      .addCase(completeOAuth.rejected, (state, action) => {
+        state.isLoading = false
+        state.error = action.payload
+      })
+      // Two-factor login
+      .addCase(loginTwoFactor.pending, (state) => {
+        state.isLoading = true
+        state.error = null
+      })
+      .addCase(loginTwoFactor.fulfilled, (state, action) => {
+        state.isLoading = false
+        state.twoFactorToken = null
+        state.user = action.payload
+        state.token = action.payload.token
+        state.isAuthenticated = true
+        localStorage.setItem('token', action.payload.token)
+        localStorage.setItem('refreshToken', action.payload.refreshToken)
+      })
+      .addCase(loginTwoFactor.rejected, (state, action) => {
+        state.isLoading = false
+        state.error = action.payload
+      })
       // Logout
       .addCase(logout.fulfilled, (state) => {
         state.user = null
         state.token = null
         state.isAuthenticated = false
         localStorage.removeItem('token')
+        localStorage.removeItem('refreshToken')
       })
       // Get Profile
       .addCase(getProfile.pending, (state) => {
@@ -170,20 +407,87 @@ const authSlice = createSlice({
           state.isAuthenticated = false
           state.token = null
           localStorage.removeItem('token')
+          localStorage.removeItem('refreshToken')
         }
       })
       // Update Profile
       .addCase(updateProfile.fulfilled, (state, action) => {
         state.user = action.payload
       })
+      .addCase(becomeDeveloper.fulfilled, (state, action) => {
+        state.user = action.payload
+      })
       // Change Password
       .addCase(changePassword.fulfilled, (state) => {
         // Password changed successfully, no state update needed
       })
+      // Verify Email
+      .addCase(verifyEmail.fulfilled, (state) => {
+        if (state.user) {
+          state.user.emailVerified = true
+        }
+      })
+      // Two-factor settings
+      .addCase(setupTwoFactor.fulfilled, (state, action) => {
+        state.twoFactorSetup = action.payload
+      })
+      .addCase(enableTwoFactor.fulfilled, (state, action) => {
+        state.twoFactorSetup = null
+        state.recoveryCodes = action.payload.recoveryCodes
+        if (state.user) {
+          state.user.twoFactor = { enabled: true, enabledAt: new Date().toISOString() }
+        }
+      })
+      .addCase(disableTwoFactor.fulfilled, (state) => {
+        if (state.user) {
+          state.user.twoFactor = { enabled: false }
+        }
+      })
+      .addCase(regenerateRecoveryCodes.fulfilled, (state, action) => {
+        state.recoveryCodes = action.payload.recoveryCodes
+      })
+      // Sessions
+      .addCase(fetchSessions.pending, (state) => {
+        state.isSessionsLoading = true
+        state.sessionsError = null
+      })
+      .addCase(fetchSessions.fulfilled, (state, action) => {
+        state.isSessionsLoading = false
+        state.sessions = action.payload
+      })
+      .addCase(fetchSessions.rejected, (state, action) => {
+        state.isSessionsLoading = false
+        state.sessionsError = action.payload
+      })
+      .addCase(revokeSession.fulfilled, (state, action) => {
+        state.sessions = state.sessions.filter(session => session._id !== action.payload.sessionId)
+        // Signing out the current device is a logout
+        if (action.payload.current) {
+          state.user = null
+          state.token = null
+          state.isAuthenticated = false
+          localStorage.removeItem('token')
+          localStorage.removeItem('refreshToken')
+        }
+      })
+      .addCase(revokeSession.rejected, (state, action) => {
+        state.sessionsError = action.payload
+      })
+      .addCase(revokeAllSessions.fulfilled, (state) => {
+        state.sessions = []
+        state.user = null
+        state.token = null
+        state.isAuthenticated = false
+        localStorage.removeItem('token')
+        localStorage.removeItem('refreshToken')
+      })
+      .addCase(revokeAllSessions.rejected, (state, action) => {
+        state.sessionsError = action.payload
+      })
   },
 })
 
-export const { clearError, setToken, clearAuth } = authSlice.actions
+export const { clearError, setToken, clearAuth, cancelTwoFactorLogin, clearRecoveryCodes } = authSlice.actions
 
 export default authSlice.reducer
 
@@ -196,5 +500,16 @@ export const selectIsLoading = (state) => state.auth.isLoading
 export const selectError = (state) => state.auth.error
 export const selectIsProfileLoading = (state) => state.auth.isProfileLoading
 export const selectProfileError = (state) => state.auth.profileError
+export const selectTwoFactorToken = (state) => state.auth.twoFactorToken
+export const selectIsTwoFactorPending = (state) => !!state.auth.twoFactorToken
+export const selectTwoFactorSetup = (state) => state.auth.twoFactorSetup
+export const selectRecoveryCodes = (state) => state.auth.recoveryCodes
+export const selectIsTwoFactorEnabled = (state) => !!state.auth.user?.twoFactor?.enabled
+export const selectSessions = (state) => state.auth.sessions
+export const selectIsSessionsLoading = (state) => state.auth.isSessionsLoading
+export const selectSessionsError = (state) => state.auth.sessionsError
 export const selectUserRole = (state) => state.auth.user?.role
+export const selectIsEmailVerified = (state) => !!state.auth.user?.emailVerified
 export const selectIsAdmin = (state) => state.auth.user?.role === 'admin'
+export const selectIsDeveloper = (state) => ['developer', 'admin'].includes(state.auth.user?.role)
+export const selectIsStaff = (state) => ['moderator', 'finance-admin', 'admin'].includes(state.auth.user?.role)